@@ -84,6 +84,10 @@ async function crashSimulation() {
   // Simulate crash (don't close properly)
   console.log("💥 Simulating crash (not calling close)...\n");
 
+  // A crashed process leaves a stale lock that the next owner takes over.
+  // We are still alive here, so let go of it by hand.
+  counter.lock.release();
+
   // Create new instance (recovery)
   const recovered = new ThreeStateCounter({
     dbPath: "crash-demo.db",
@@ -0,0 +1,449 @@
+import fs from "fs";
+import path from "path";
+import { format, parseArgs } from "util";
+import ThreeStateCounter from "./core.js";
+import { SqliteStorage, openSqlite } from "./storage.js";
+import { FileLog, decodeRecord } from "./wal.js";
+
+/**
+ * The `three-state-counter` command: inspect and repair the files of
+ * counters created by CounterManager.setup() (`<name>.db` + `<name>.log`).
+ *
+ * Every command opens the counter through ThreeStateCounter.init(), so the
+ * value it reports is the value the library would recover. Read-only
+ * commands run that recovery against adapters that never write back, and
+ * don't take the counter's lock; commands that change files do, so they
+ * refuse to touch a counter that a running process owns.
+ *
+ * Shared-store and family databases (one `counters` table for many
+ * counters) and windowed counters are not supported.
+ */
+
+const USAGE = `Usage: three-state-counter <command> [options]
+
+Commands:
+  list                  Every counter in --dir with its value
+  get <name>            Value of a counter, including its unflushed log
+  set <name> <value>    Replay the log, then set the value
+  reset <name>          Same as: set <name> 0
+  replay <name>         Apply the log to the database and clear it
+  verify <name>         Check the log and compare it with the database
+  compact <name>        Replay, then shrink the database files
+  export [name...]      Names and values as JSON (every counter if none given)
+
+Options:
+  --dir <path>          Directory holding the counter files (default: .)
+  --number-type <type>  integer, bigint or decimal (default: what the
+                        counter's files hold)
+  --scale <digits>      Fractional digits of decimal counters (default:
+                        those of the stored value, else 2)
+  --json                Machine-readable output (list, get, verify)
+  -h, --help            Show this help
+`;
+
+const OPTIONS = {
+  dir: { type: "string", default: "." },
+  "number-type": { type: "string" },
+  scale: { type: "string" },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+// Commands and how many positional arguments they take
+const COMMANDS = {
+  list: [0, 0],
+  get: [1, 1],
+  set: [2, 2],
+  reset: [1, 1],
+  replay: [1, 1],
+  verify: [1, 1],
+  compact: [1, 1],
+  export: [0, Infinity],
+};
+
+/**
+ * @param {string[]} argv - Arguments after the command name.
+ * @param {object} [io]
+ * @param {{write(text: string): any}} [io.stdout=process.stdout]
+ * @param {{write(text: string): any}} [io.stderr=process.stderr]
+ * @returns {Promise<number>} Exit code: 0 on success, 1 on failure (or a
+ *   problem found by verify), 2 on bad usage.
+ */
+export async function run(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  const print = (...args) => stdout.write(`${format(...args)}\n`);
+  const logger = { error: (...args) => stderr.write(`${format(...args)}\n`) };
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    stderr.write(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...args] = positionals;
+  if (values.help || !command) {
+    (values.help ? stdout : stderr).write(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  const arity = COMMANDS[command];
+  if (!arity || args.length < arity[0] || args.length > arity[1]) {
+    stderr.write(`${arity ? `Wrong arguments for "${command}"` : `Unknown command "${command}"`}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const options = {
+    dir: values.dir,
+    numberType: values["number-type"],
+    scale: values.scale === undefined ? undefined : Number(values.scale),
+    json: values.json,
+    logger,
+  };
+
+  try {
+    return (await COMMAND_HANDLERS[command](args, options, print)) ?? 0;
+  } catch (err) {
+    logger.error(`${command} failed: ${err.message}`);
+    return 1;
+  }
+}
+
+// ---------- Commands ----------
+
+const COMMAND_HANDLERS = {
+  async list(args, options, print) {
+    const names = await counterNames(options.dir, options.logger);
+    const rows = [];
+    for (const name of names) {
+      const { value, pending } = await inspect(name, options);
+      rows.push({ name, value: options.json ? toJSON(value) : value, pending });
+    }
+
+    if (options.json) {
+      print(JSON.stringify(rows, null, 2));
+      return;
+    }
+    for (const { name, value, pending } of rows) {
+      print(`${name}\t${value}${pending ? `\t(${pending} unflushed)` : ""}`);
+    }
+  },
+
+  async get([name], options, print) {
+    const result = await inspect(name, options);
+    if (options.json) {
+      print(JSON.stringify({ name, ...result, value: toJSON(result.value), stored: toJSON(result.stored) }, null, 2));
+      return;
+    }
+    print(`${result.value}`);
+  },
+
+  async set([name, value], options, print) {
+    await withCounter(name, options, async (counter) => {
+      const previous = counter.value;
+      counter.value = counter.numbers.from(parseValue(value, counter.numbers));
+      if (counter.ledger) {
+        // Like CounterManager's reset(), so the ledger still adds up
+        counter._queueLedger(counter.numbers.sub(counter.value, previous), { reason: "reset" });
+      }
+      await counter.flush();
+      print(`${name}: ${previous} -> ${counter.value}`);
+    });
+  },
+
+  async reset([name], options, print) {
+    return COMMAND_HANDLERS.set([name, "0"], options, print);
+  },
+
+  async replay([name], options, print) {
+    await withCounter(name, options, async (counter) => {
+      const { replayed = 0, skipped = 0, discarded = null } = counter.recovery ?? {};
+      print(
+        `${name}: replayed ${replayed} record(s), skipped ${skipped} already applied` +
+          `${discarded ? `, discarded ${discarded.records} torn or corrupt` : ""}; value ${counter.value}`
+      );
+    });
+  },
+
+  async verify([name], options, print) {
+    const result = await inspect(name, options);
+    const problems = [...result.errors];
+    if (result.discarded) {
+      const { records, bytes, line } = result.discarded;
+      problems.push(`${records} torn or corrupt record(s), ${bytes} bytes from line ${line}`);
+    }
+
+    if (options.json) {
+      print(JSON.stringify({
+        name,
+        ok: problems.length === 0,
+        stored: toJSON(result.stored),
+        seq: result.seq,
+        value: toJSON(result.value),
+        pending: result.pending,
+        skipped: result.skipped,
+        problems,
+      }, null, 2));
+    } else {
+      print(`${name}: ${problems.length === 0 ? "OK" : "PROBLEMS FOUND"}`);
+      print(`  database: ${result.stored} (up to record ${result.seq})`);
+      print(`  log:      ${result.pending} record(s) to replay, ${result.skipped} already applied`);
+      print(`  value:    ${result.value}`);
+      for (const problem of problems) print(`  problem:  ${problem}`);
+    }
+    return problems.length === 0 ? 0 : 1;
+  },
+
+  async compact([name], options, print) {
+    const { dbPath } = counterFiles(name, options.dir);
+    const before = fileSizes(dbPath);
+    await withCounter(name, options, async (counter) => {
+      await counter.db.exec("VACUUM");
+      await counter.db.exec("PRAGMA wal_checkpoint(TRUNCATE)");
+    });
+    print(`${name}: ${before} -> ${fileSizes(dbPath)} bytes`);
+  },
+
+  async export(names, options, print) {
+    if (names.length === 0) names = await counterNames(options.dir, options.logger);
+    const rows = [];
+    for (const name of names) {
+      const { value } = await inspect(name, options);
+      rows.push({ name, value: toJSON(value) });
+    }
+    print(JSON.stringify(rows, null, 2));
+  },
+};
+
+// ---------- Opening Counters ----------
+
+// Loads and replays, but never writes back and never clears the log.
+// Not even the schema or the journal mode is touched.
+class ReadOnlyStorage extends SqliteStorage {
+  constructor(options) {
+    super(options);
+    this.lockPath = null; // Inspecting must work while the owner runs
+    this.saved = null;
+  }
+
+  async open() {
+    this.db = await openSqlite(this.dbPath);
+  }
+
+  async load() {
+    // SELECT *, as older databases lack some of the columns
+    const row = await this.db.get("SELECT * FROM counter_state WHERE id = 1");
+    this.saved = row && { snapshot: row.exact_value ?? row.value, seq: row.last_seq ?? 0 };
+    return this.saved;
+  }
+
+  async save() {}
+}
+
+class ReadOnlyLog extends FileLog {
+  appendSync() {
+    throw new Error("The log is opened read-only");
+  }
+
+  async append() {
+    throw new Error("The log is opened read-only");
+  }
+
+  cut() {}
+
+  async clear() {}
+}
+
+function counterFiles(name, dir) {
+  return {
+    dbPath: path.join(dir, `${name}.db`),
+    logPath: path.join(dir, `${name}.log`),
+  };
+}
+
+async function checkCounter(name, dir) {
+  const { dbPath } = counterFiles(name, dir);
+  if (!fs.existsSync(dbPath)) {
+    throw new Error(`No counter "${name}" in ${dir}`);
+  }
+  const kind = await counterKind(dbPath);
+  if (kind !== "counter") {
+    throw new Error(`${dbPath} is ${KIND_NAMES[kind] ?? "not a counter database"}, which this tool doesn't support`);
+  }
+}
+
+// The counter's number type and scale: as given, or as its files show.
+// Opening a bigint or decimal counter as an integer would round its value
+// on the next write.
+async function numberTypeOf(name, { dir, numberType, scale }) {
+  const { dbPath, logPath } = counterFiles(name, dir);
+  const exact = await storedExactValue(dbPath);
+  const fraction = exact?.split(".")[1];
+  const stored = exact === null ? null : fraction === undefined ? "bigint" : "decimal";
+
+  if (numberType === "integer" && stored) {
+    throw new Error(`${dbPath} holds the exact value ${exact}; use --number-type bigint or decimal`);
+  }
+  if (!numberType && !stored && !(await integerLog(logPath))) {
+    throw new Error(`The log of "${name}" holds values that are not integers; use --number-type bigint or decimal`);
+  }
+  return { numberType: numberType ?? stored ?? "integer", scale: scale ?? fraction?.length ?? 2 };
+}
+
+// Set once a bigint or decimal counter has been flushed
+async function storedExactValue(dbPath) {
+  const db = await openSqlite(dbPath);
+  try {
+    // SELECT *, as older databases lack the column
+    const row = await db.get("SELECT * FROM counter_state WHERE id = 1");
+    return row?.exact_value ?? null;
+  } finally {
+    await db.close();
+  }
+}
+
+// Whether every intact record's delta is a safe integer
+async function integerLog(logPath) {
+  const content = fs.existsSync(logPath) ? await fs.promises.readFile(logPath, "utf8") : "";
+  for (const line of content.split("\n")) {
+    const body = line.startsWith("W") ? decodeRecord(line)?.body : line;
+    if (body && !Number.isSafeInteger(Number(body.split(" ")[0]))) return false;
+  }
+  return true;
+}
+
+/**
+ * What ThreeStateCounter.init() would recover, without changing any file.
+ */
+async function inspect(name, options) {
+  const { dir, logger } = options;
+  await checkCounter(name, dir);
+  const { dbPath, logPath } = counterFiles(name, dir);
+  const storage = new ReadOnlyStorage({ dbPath });
+  const counter = new ThreeStateCounter({
+    storage,
+    log: new ReadOnlyLog(logPath),
+    mode: "sync",
+    ...(await numberTypeOf(name, options)),
+    logger,
+  });
+
+  // Replay failures are logged and emitted, not thrown
+  const errors = [];
+  counter.on("error", (err) => errors.push(err.message));
+
+  await counter.init();
+  try {
+    const { replayed = 0, skipped = 0, discarded = null } = counter.recovery ?? {};
+    return {
+      value: counter.value,
+      stored: counter.numbers.fromStorage(storage.saved?.snapshot),
+      seq: storage.saved?.seq ?? 0,
+      pending: replayed,
+      skipped,
+      discarded,
+      errors,
+    };
+  } finally {
+    await counter.close();
+  }
+}
+
+// Opens the counter for writing: takes its lock and replays its log
+async function withCounter(name, options, fn) {
+  const { dir, logger } = options;
+  await checkCounter(name, dir);
+  const counter = new ThreeStateCounter({
+    ...counterFiles(name, dir),
+    mode: "sync",
+    ...(await numberTypeOf(name, options)),
+    ...(await featuresOf(name, dir)),
+    logger,
+  });
+  await counter.init();
+  try {
+    await fn(counter);
+  } finally {
+    await counter.close();
+  }
+}
+
+// The ledger and idempotency keys the counter's database has. Without
+// them, cutting the log would drop the replayed records' entries and keys.
+async function featuresOf(name, dir) {
+  const tables = await tableNames(counterFiles(name, dir).dbPath);
+  return {
+    ledger: tables.has("counter_ledger"),
+    // The owner's retention isn't stored: keep every key, and leave
+    // pruning to the owner's next flush
+    idempotency: tables.has("counter_idempotency") && { retention: Infinity },
+  };
+}
+
+// ---------- Helpers ----------
+
+// Counter databases in `dir`; the kinds this tool can't open are
+// reported to `logger`, not listed
+async function counterNames(dir, logger) {
+  const names = [];
+  for (const file of (await fs.promises.readdir(dir)).sort()) {
+    if (!file.endsWith(".db")) continue;
+    const kind = await counterKind(path.join(dir, file));
+    if (kind === "counter") {
+      names.push(file.slice(0, -".db".length));
+    } else if (kind) {
+      logger.error(`Skipping ${file}: ${KIND_NAMES[kind]}, which this tool doesn't support`);
+    }
+  }
+  return names;
+}
+
+const KIND_NAMES = {
+  windowed: "a windowed counter",
+  shared: "a shared-store or family database",
+};
+
+// "counter", "windowed", "shared" or null, from the tables in the database
+async function counterKind(dbPath) {
+  let tables;
+  try {
+    tables = await tableNames(dbPath);
+  } catch {
+    return null; // Not an SQLite database
+  }
+  if (tables.has("window_buckets")) return "windowed";
+  if (tables.has("counters")) return "shared";
+  return tables.has("counter_state") ? "counter" : null;
+}
+
+async function tableNames(dbPath) {
+  const db = await openSqlite(dbPath);
+  try {
+    const rows = await db.all("SELECT name FROM sqlite_master WHERE type = 'table'");
+    return new Set(rows.map((row) => row.name));
+  } finally {
+    await db.close();
+  }
+}
+
+// bigint values are typed as integers on the command line
+function parseValue(text, numbers) {
+  if (numbers.name === "integer") {
+    const value = Number(text);
+    return text.trim() === "" ? NaN : value;
+  }
+  return numbers.name === "bigint" && /^-?\d+$/.test(text) ? BigInt(text) : text;
+}
+
+function toJSON(value) {
+  return typeof value === "bigint" ? `${value}` : value;
+}
+
+function fileSizes(dbPath) {
+  let total = 0;
+  for (const file of [dbPath, `${dbPath}-wal`, `${dbPath}-shm`]) {
+    if (fs.existsSync(file)) total += fs.statSync(file).size;
+  }
+  return total;
+}
@@ -0,0 +1,307 @@
+import nodeCluster from "cluster";
+import { createNumberType } from "./numbers.js";
+
+/**
+ * node:cluster support. The primary owns the counters, through a
+ * CounterManager and serveWorkers(); workers get proxies from
+ * connectToPrimary() that look like the functions setup() returns.
+ *
+ * Plain increments are applied to a local cached value at once and sent
+ * to the primary in one batch per tick. The primary's reply to each batch
+ * (or call) carries the real values, which replace the cache, plus
+ * whatever this worker has sent since. Everything else is a call to the
+ * primary's counter and returns a promise; incrementDurable() resolves
+ * once the primary's counter has made the delta durable.
+ *
+ * Messages are tagged, so they can share the IPC channel with the app's
+ * own. A worker's messages are handled one at a time, in order.
+ */
+
+const TAG = "threeStateCounter";
+
+// Methods of a managed counter a worker may call
+const CALLS = [
+  "incrementDurable",
+  "tryIncrement",
+  "compareAndSet",
+  "incrementIfBelow",
+  "health",
+  "getHistory",
+  "getLedger",
+  "reconcileLedger",
+  "flush",
+  "reset",
+];
+
+// ---------- Primary ----------
+
+/**
+ * Serve `manager`'s counters to every cluster worker.
+ * @param {object} manager - A CounterManager, e.g. the default export.
+ * @param {object} [options]
+ * @param {object} [options.cluster] - node:cluster, or a stand-in with the
+ *   same "message" and "exit" events.
+ * @returns {() => void} Stops serving.
+ */
+export function serveWorkers(manager, { cluster = nodeCluster } = {}) {
+  const queues = new Map(); // Worker id -> its last request
+
+  const onMessage = (worker, message) => {
+    const request = message?.[TAG];
+    if (!request) return;
+
+    const previous = queues.get(worker.id) ?? Promise.resolve();
+    const done = previous
+      .then(() => handleRequest(manager, unpack(request)))
+      .then(
+        (result) => ({ id: request.id, result }),
+        (err) => ({ id: request.id, error: { name: err.name, message: err.message, code: err.code } })
+      )
+      .then((response) => {
+        if (worker.isConnected()) worker.send({ [TAG]: pack(response) });
+      })
+      .catch((err) => manager.logger.error("Error replying to cluster worker:", err));
+    queues.set(worker.id, done);
+  };
+
+  const onExit = (worker) => queues.delete(worker.id);
+
+  cluster.on("message", onMessage);
+  cluster.on("exit", onExit);
+  return () => {
+    cluster.off("message", onMessage);
+    cluster.off("exit", onExit);
+  };
+}
+
+async function handleRequest(manager, { type, name, args = [], ops = [] }) {
+  const counter = (n) => {
+    const fn = manager.registry[n];
+    if (!fn) throw new Error(`No counter "${n}" in the primary`);
+    return fn;
+  };
+
+  switch (type) {
+    case "setup": {
+      args = args.map((arg) => arg ?? undefined); // Omitted: the primary's defaults
+      const fn = await manager.setup(...args);
+      const { numbers } = manager.instances[args[0]];
+      return {
+        value: fn.value,
+        jump: manager.configs[args[0]].jump,
+        numberType: numbers.name,
+        scale: numbers.scale,
+      };
+    }
+
+    case "batch": {
+      // Each worker increment was accepted when it was made, so one that
+      // fails here can only be logged; the reply corrects its cache
+      const values = {};
+      for (const [n, delta, meta] of ops) {
+        try {
+          await manager.instances[n].increment(delta, meta ?? undefined);
+        } catch (err) {
+          manager.logger.error(`Error applying a worker's increment to ${n}:`, err.message);
+        }
+        values[n] = counter(n).value;
+      }
+      return { values };
+    }
+
+    case "call": {
+      const fn = counter(name);
+      if (!CALLS.includes(args[0])) throw new Error(`Unknown counter method "${args[0]}"`);
+      const result = await fn[args[0]](...args.slice(1));
+      return { result, value: fn.value };
+    }
+
+    default:
+      throw new Error(`Unknown cluster request "${type}"`);
+  }
+}
+
+// ---------- Workers ----------
+
+/**
+ * Connect this worker to the primary's serveWorkers().
+ * @param {object} [options]
+ * @param {object} [options.channel=process] - The IPC channel to the
+ *   primary: anything with send() and "message" events.
+ * @param {{error: Function}} [options.logger=console]
+ * @returns {{setup: Function, close: Function}}
+ */
+export function connectToPrimary({ channel = process, logger = console } = {}) {
+  if (typeof channel.send !== "function") {
+    throw new Error("connectToPrimary() needs an IPC channel; call it in a cluster worker");
+  }
+  return new ClusterClient(channel, logger);
+}
+
+class ClusterClient {
+  constructor(channel, logger) {
+    this.channel = channel;
+    this.logger = logger;
+    this.registry = {};
+    this.counters = {}; // name -> { value, unacked, numbers }
+    this.requests = new Map(); // id -> { resolve, reject }
+    this.nextId = 1;
+    this.batch = []; // [name, delta, meta] not yet sent
+    this.batchTimer = null;
+    this.sending = new Set(); // Batches the primary hasn't answered yet
+
+    this.onMessage = (message) => {
+      const response = message?.[TAG];
+      const request = response && this.requests.get(response.id);
+      if (!request) return;
+
+      this.requests.delete(response.id);
+      const { result, error } = unpack(response);
+      if (error) {
+        request.reject(Object.assign(new Error(error.message), error));
+      } else {
+        request.resolve(result);
+      }
+    };
+    channel.on("message", this.onMessage);
+  }
+
+  /**
+   * Same arguments as CounterManager#setup(); the counter is set up in the
+   * primary if it isn't already, with the primary manager's defaults for
+   * `flushEvery` and `mode`. The options must be serializable.
+   */
+  async setup(name, initial = 0, jump = 1, flushEvery, mode, options = {}) {
+    if (this.registry[name]) return this.registry[name];
+
+    // A counter the primary already has keeps its configuration
+    const { value, jump: configuredJump, numberType, scale } = await this._request({
+      type: "setup",
+      args: [name, initial, jump, flushEvery, mode, options],
+    });
+    if (this.registry[name]) return this.registry[name]; // Set up meanwhile
+
+    const numbers = createNumberType(numberType, { scale });
+    const primaryJump = numbers.from(configuredJump);
+    const state = { value, unacked: numbers.zero, numbers };
+    this.counters[name] = state;
+
+    // Returns at once: the cached value, including this delta
+    const fn = (meta) => {
+      state.value = numbers.add(state.value, primaryJump);
+      state.unacked = numbers.add(state.unacked, primaryJump);
+      this.batch.push([name, primaryJump, meta ?? null]);
+      this.batchTimer ??= setImmediate(() => this._sendBatch());
+      return state.value;
+    };
+
+    Object.defineProperty(fn, "value", {
+      get() {
+        return state.value;
+      },
+    });
+
+    for (const method of CALLS) {
+      fn[method] = (...args) => this._call(name, method, args);
+    }
+    // An undefined delta followed by meta would arrive as null
+    fn.tryIncrement = (delta = primaryJump, meta) => this._call(name, "tryIncrement", [delta, meta]);
+    fn.incrementIfBelow = (limit, delta = primaryJump, meta) =>
+      this._call(name, "incrementIfBelow", [limit, delta, meta]);
+
+    this.registry[name] = fn;
+    return fn;
+  }
+
+  // Send what is batched and wait for it, then stop listening. Calls
+  // still waiting for the primary are rejected.
+  async close() {
+    this._sendBatch();
+    await Promise.all(this.sending);
+    this.channel.off("message", this.onMessage);
+    for (const { reject } of this.requests.values()) {
+      reject(new Error("The cluster client was closed"));
+    }
+    this.requests.clear();
+  }
+
+  async _call(name, method, args) {
+    // Trailing undefined arguments would arrive as null, not as defaults
+    while (args.length > 0 && args[args.length - 1] === undefined) args.pop();
+
+    // Increments made before the call reach the primary before it
+    this._sendBatch();
+    const { result, value } = await this._request({ type: "call", name, args: [method, ...args] });
+    this._refresh(name, value);
+    return result;
+  }
+
+  _sendBatch() {
+    clearImmediate(this.batchTimer);
+    this.batchTimer = null;
+    if (this.batch.length === 0) return;
+
+    const ops = this.batch.splice(0);
+    const sent = {}; // name -> total delta in this batch
+    for (const [name, delta] of ops) {
+      const { add, zero } = this.counters[name].numbers;
+      sent[name] = add(sent[name] ?? zero, delta);
+    }
+
+    const settle = ({ values }) => {
+      for (const [name, total] of Object.entries(sent)) {
+        const state = this.counters[name];
+        state.unacked = state.numbers.sub(state.unacked, total);
+        if (values) this._refresh(name, values[name]);
+        else state.value = state.numbers.sub(state.value, total);
+      }
+    };
+
+    const sending = this._request({ type: "batch", ops })
+      .then(settle, (err) => {
+        this.logger.error("Error sending increments to the primary:", err);
+        settle({});
+      })
+      .finally(() => this.sending.delete(sending));
+    this.sending.add(sending);
+  }
+
+  // The primary's value, plus what it hasn't applied yet
+  _refresh(name, value) {
+    const state = this.counters[name];
+    state.value = state.numbers.add(value, state.unacked);
+  }
+
+  _request(body) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.requests.set(id, { resolve, reject });
+      this.channel.send({ [TAG]: pack({ ...body, id }) }, (err) => {
+        if (!err) return;
+        this.requests.delete(id);
+        reject(err);
+      });
+    });
+  }
+}
+
+// ---------- Serialization ----------
+
+// IPC messages are JSON, which has no BigInt
+function pack(value) {
+  if (typeof value === "bigint") return { $bigint: `${value}` };
+  if (Array.isArray(value)) return value.map(pack);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, pack(v)]));
+  }
+  return value;
+}
+
+function unpack(value) {
+  if (Array.isArray(value)) return value.map(unpack);
+  if (value && typeof value === "object") {
+    if (typeof value.$bigint === "string") return BigInt(value.$bigint);
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, unpack(v)]));
+  }
+  return value;
+}
@@ -1,153 +1,820 @@
-import fs from "fs";
-import { promises as fsPromises } from "fs";
-import { open } from "sqlite";
-import sqlite3 from "sqlite3";
+import { EventEmitter } from "events";
+import FileLock from "./lock.js";
+import History from "./history.js";
+import Ledger from "./ledger.js";
+import IdempotencyKeys from "./idempotency.js";
+import { SqliteStorage } from "./storage.js";
+import { CounterBoundError, CounterBufferFullError } from "./errors.js";
+import { encodeRecord, parseLog, FileLog } from "./wal.js";
+import { createNumberType } from "./numbers.js";
+import {
+  defaultDurability,
+  validateDurability,
+  isFsynced,
+} from "./durability.js";
 
-export default class ThreeStateCounter {
+const DEFAULT_KEY_RETENTION = 24 * 60 * 60 * 1000; // ms an idempotency key is remembered
+
+/**
+ * Events:
+ *   "change"    - { value, previous, delta } after every change in memory
+ *   "flush"     - { value, seq } once a flush has reached storage
+ *   "recovered" - { replayed, skipped, discarded } after init() replayed the log,
+ *                 or for a shared store's counter the shared log
+ *   "error"     - Failures in background work (async log writes, batched
+ *                 fsyncs, automatic flushes). Only emitted if listened to.
+ *   "close"     - After close()
+ */
+export default class ThreeStateCounter extends EventEmitter {
   constructor({
     dbPath = "counter.db",
     logPath = "counter.log",
     flushEvery = 10,
     mode = "async", // "sync" or "async"
+    name = null, // Row key when using a shared store
+    store = null, // SharedStore instance (one DB + log for many counters)
+    lockTimeout = 0, // ms to wait for another owner to release the files
+    durability = defaultDurability(mode), // see durability.js
+    min = -Infinity, // Lowest value the counter may reach
+    max = Infinity, // Highest value the counter may reach
+    onBound = "reject", // "reject" (throw) or "clamp" when a change crosses a bound
+    history = false, // true or { interval, retention } to record value history
+    ledger = false, // true to keep every operation in an append-only ledger
+    idempotency = false, // true or { retention } to deduplicate keyed operations
+    maxBuffer = Infinity, // Most unwritten log records held in async mode
+    onBufferFull = "throw", // "throw", "block" or "drop" once maxBuffer is reached
+    logger = console, // Anything with an error(...args) method
+    flushPolicy = {}, // { maxOps, maxIntervalMs, maxLogBytes, idleMs }, see below
+    batchDelay = 50, // ms to collect async writes (and fsync-batch syncs) into one
+    storage = null, // Snapshot adapter (see storage.js); SQLite at dbPath by default
+    log = null, // Log adapter (see wal.js); a file at logPath by default
+    numberType = "integer", // "integer", "bigint" or "decimal", see numbers.js
+    scale = 2, // Fractional digits of "decimal" values
   } = {}) {
-    this.dbPath = dbPath;
-    this.logPath = logPath;
-    this.flushEvery = flushEvery;
+    super();
+
+    // Any trigger that is met starts a flush; 0 disables a trigger
+    const {
+      maxOps = flushEvery, // Operations since the last flush
+      maxIntervalMs = 0, // Time since the last flush, with operations pending
+      maxLogBytes = 0, // Size of the log file
+      idleMs = 0, // Time since the last operation, with operations pending
+    } = flushPolicy;
+
+    this.dbPath = store ? store.dbPath : dbPath;
+    this.storage = store ? null : storage ?? this._defaultStorage(dbPath, durability);
+    this.log = store ? store.log : log ?? new FileLog(logPath);
+    this.logPath = this.log.path;
+    // maxOps: 0 turns op counting off like the other triggers; a plain
+    // flushEvery: 0 still flushes on every operation, as it always has
+    this.flushEvery = flushPolicy.maxOps === 0 ? Infinity : maxOps;
+    this.flushPolicy = { maxOps, maxIntervalMs, maxLogBytes, idleMs };
+    this.batchDelay = batchDelay;
     this.mode = mode;
+    this.name = name;
+    this.store = store;
+    this.lockTimeout = lockTimeout;
+    this.durability = durability;
+    this.numbers = createNumberType(numberType, { scale });
+    this.onBound = onBound;
+    this.historyOptions = history === true ? {} : history || null;
+    this.ledgerEnabled = Boolean(ledger);
+    this.idempotencyRetention = idempotency
+      ? idempotency.retention ?? DEFAULT_KEY_RETENTION
+      : null;
+    this.maxBuffer = maxBuffer;
+    this.onBufferFull = onBufferFull;
+    this.logger = logger;
 
-    this.value = 0;
+    // Bounds are values of the counter's type, or ±Infinity when unset
+    this.min = min === -Infinity ? min : this.numbers.from(min);
+    this.max = max === Infinity ? max : this.numbers.from(max);
+
+    this.value = this.numbers.zero;
     this.pending = 0;
-    this.db = null;
+    this.ready = false; // Between init() and close()
+    this.closing = false; // close() has started: failed writes aren't retried
+    this.db = null; // SQLite database, if the storage has one
+    this.lock = null;
+    this.seq = 0; // Sequence number of the last log record written
+    this.recovery = null; // What the last replay applied and discarded
+    this.history = null; // History, once init() has opened the DB
+    this.ledger = null; // Ledger, once init() has opened the DB
+    this.ledgerPending = []; // Operations not yet written to the ledger
+    this.keys = null; // IdempotencyKeys, once init() has opened the DB
+    this.seenKeys = new Map(); // Idempotency key -> { ts, value }
+    this.keysPending = []; // Keys not yet written with a snapshot
+    this.historyTimer = null;
+    this.schedulerTimer = null; // Checks the time- and size-based flush triggers
+    this.scheduledFlush = null;
+    this.lastFlushAt = 0;
+    this.lastOpAt = 0;
+
+    // Transaction deltas written to the log but not yet applied; bounds
+    // are checked as if they had already landed
+    this.reservedUp = this.numbers.zero;
+    this.reservedDown = this.numbers.zero;
 
     // For async mode: batch writes
     this.writeBuffer = [];
+    this.writeWaiters = []; // incrementDurable() callers for writeBuffer
     this.flushTimer = null;
-    this.isWriting = false;
+    this.flushTimerDelay = null;
+    this.writing = null; // Promise of the append currently in flight
+    this.syncTimer = null; // Pending fsync for "fsync-batch" durability
+    this.syncWaiters = [];
+    this.blocked = []; // Operations waiting for room in writeBuffer ("block")
+    this.dropped = 0; // Operations discarded because writeBuffer was full ("drop")
+    this.lastError = null; // Last failed log write, until one succeeds
+
+    // Flushes cut the log at a byte offset, so they must not overlap
+    this.flushQueue = Promise.resolve();
 
     if (mode !== "sync" && mode !== "async") {
       throw new Error('mode must be "sync" or "async"');
     }
+
+    validateDurability(durability);
+
+    if (this.numbers.compare(this.min, this.max) > 0) {
+      throw new Error("min must not be greater than max");
+    }
+
+    if (onBound !== "reject" && onBound !== "clamp") {
+      throw new Error('onBound must be "reject" or "clamp"');
+    }
+
+    if (!["throw", "block", "drop"].includes(onBufferFull)) {
+      throw new Error('onBufferFull must be "throw", "block" or "drop"');
+    }
+
+    if (!(maxBuffer >= 1)) {
+      throw new Error("maxBuffer must be at least 1");
+    }
+
+    if (store && !name) {
+      throw new Error("name is required when using a shared store");
+    }
+
+    if (store && numberType !== "integer") {
+      throw new Error("Shared stores only hold integer counters");
+    }
+
+    if (store && ledger) {
+      throw new Error("A ledger needs the counter's own database, not a shared store");
+    }
+
+    if (store && idempotency) {
+      throw new Error("Idempotency keys need the counter's own database, not a shared store");
+    }
+
+    if (idempotency && !(this.idempotencyRetention > 0)) {
+      throw new Error("idempotency.retention must be a positive number of ms");
+    }
   }
 
   // ---------- Setup & Recovery ----------
 
   async init() {
-    await this._initDB();
-    await this._loadState();
-    await this._replayLog();
+    this.closing = false;
+    if (this.store) {
+      // The store has already replayed the shared log
+      this.db = this.store.db;
+      await this.store.attach(this);
+      this.recovery = this.store.recovery;
+      if (this.recovery) this.emit("recovered", this.recovery);
+    } else {
+      // Only one owner may append to and truncate the log
+      if (this.storage.lockPath) {
+        this.lock = new FileLock(this.storage.lockPath);
+        await this.lock.acquire({ timeout: this.lockTimeout });
+      }
+
+      try {
+        await this.storage.open();
+        this.db = this.storage.db ?? null;
+        if (this.ledgerEnabled) {
+          await this._initLedger();
+        }
+        if (this.idempotencyRetention) {
+          await this._initKeys();
+        }
+        await this._loadState();
+        await this._replayLog();
+      } catch (err) {
+        this.lock?.release();
+        throw err;
+      }
+    }
+    this.ready = true;
+
+    if (this.historyOptions) {
+      await this._initHistory();
+    }
+
+    this._startScheduler();
   }
 
-  async _initDB() {
-    this.db = await open({
-      filename: this.dbPath,
-      driver: sqlite3.Database,
+  async _initHistory() {
+    if (!this.db) {
+      throw new Error("History needs SQLite storage (or a shared store)");
+    }
+
+    const {
+      interval = 0, // Also record every `interval` ms, not just on flush
+      retention, // ms to keep each resolution, see history.js
+      clock = this.clock ?? Date.now,
+    } = this.historyOptions;
+
+    this.history = new History(this.db, {
+      name: this.name ?? "",
+      retention,
+      clock,
     });
+    await this.history.init();
 
-    await this.db.exec(`
-      CREATE TABLE IF NOT EXISTS counter_state (
-        id INTEGER PRIMARY KEY CHECK (id = 1),
-        value INTEGER NOT NULL
-      )
-    `);
+    // Sample between flushes too; the timer must not keep the process alive
+    if (interval > 0) {
+      this.historyTimer = setInterval(() => {
+        this.recordHistory().catch((err) => {
+          this.logger.error("Error recording history:", err);
+          this._emitError(err);
+        });
+      }, interval);
+      this.historyTimer.unref();
+    }
+  }
 
-    await this.db.run(
-      "INSERT OR IGNORE INTO counter_state (id, value) VALUES (1, 0)"
-    );
+  async _initLedger() {
+    if (!this.db) {
+      throw new Error("A ledger needs SQLite storage");
+    }
+    this.ledger = new Ledger(this.db, { numbers: this.numbers });
+    await this.ledger.init();
+    this.ledgerWasEmpty = await this.ledger.isEmpty();
+  }
+
+  async _initKeys() {
+    if (!this.db) {
+      throw new Error("Idempotency keys need SQLite storage");
+    }
+    this.keys = new IdempotencyKeys(this.db, { numbers: this.numbers });
+    await this.keys.init();
+    this.seenKeys = await this.keys.load(Date.now() - this.idempotencyRetention);
+  }
+
+  _defaultStorage(dbPath, durability) {
+    return new SqliteStorage({ dbPath, durability });
   }
 
   async _loadState() {
-    const row = await this.db.get(
-      "SELECT value FROM counter_state WHERE id = 1"
-    );
-    this.value = row?.value ?? 0;
+    const saved = await this.storage.load();
+    this._restore(saved?.snapshot);
+    this.seq = saved?.seq ?? 0;
+
+    // A counter that predates its ledger starts it with its current value
+    if (this.ledgerWasEmpty && this.numbers.compare(this.value, this.numbers.zero) !== 0) {
+      this._queueLedger(this.value, { reason: "opening balance" });
+    }
   }
 
   async _replayLog() {
     try {
-      if (!fs.existsSync(this.logPath)) return;
+      const content = await this.log.read();
+      if (!content) return;
+
+      const { records, discarded } = parseLog(content, (body) =>
+        this._decodeEntry(body)
+      );
+      const lastApplied = this.seq;
+      let replayed = 0;
 
-      const content = await fsPromises.readFile(this.logPath, "utf8");
-      const lines = content.trim().split("\n");
+      for (const { seq, entry } of records) {
+        // Already part of the value in SQLite (crash after UPDATE)
+        if (seq !== null && seq <= lastApplied) continue;
 
-      for (const line of lines) {
-        if (!line) continue;
-        const delta = parseInt(line, 10);
-        if (!isNaN(delta)) {
-          this.value += delta;
-        }
+        this._applyEntry(entry);
+        replayed++;
+        if (seq !== null) this.seq = seq;
       }
 
-      // Log replayed; clear it
-      await fsPromises.writeFile(this.logPath, "");
+      this.recovery = {
+        replayed,
+        skipped: records.length - replayed,
+        discarded,
+      };
+      if (discarded) {
+        this.logger.error(
+          `Discarded ${discarded.records} torn or corrupt log record(s) ` +
+            `(${discarded.bytes} bytes from line ${discarded.line}) in ${this.logPath ?? "the log"}`
+        );
+      }
+
+      // Persist the recovered value before the log that produced it is gone
+      await this._persist(this._snapshot(), this.seq);
+      await this.log.clear();
+      this.emit("recovered", this.recovery);
+    } catch (err) {
+      this.logger.error("Error replaying log:", err);
+      this._emitError(err);
+    }
+  }
+
+  // ---------- Extension Points ----------
+  //
+  // A log entry is what one operation records. For a plain counter it is
+  // the delta itself, or { delta, ts, reason, actor, ref, key } with a
+  // ledger or an idempotency key;
+  // subclasses with richer state (see window.js) override these to log,
+  // replay and persist something else through the same memory + log +
+  // storage pipeline.
+
+  _entry(delta, meta) {
+    if (!this.ledgerEnabled && !meta?.key) return delta;
+    return { delta, ts: Date.now(), ...meta };
+  }
+
+  // Metadata goes as JSON after the delta
+  _encodeEntry(entry) {
+    if (typeof entry !== "object") return this.numbers.encode(entry);
+    const { delta, ...meta } = entry;
+    return `${this.numbers.encode(delta)} ${JSON.stringify(meta)}`;
+  }
+
+  _decodeEntry(body) {
+    const space = body.indexOf(" ");
+    const delta = this.numbers.decode(space === -1 ? body : body.slice(0, space));
+    if (delta === null || space === -1 && !this.ledgerEnabled) return delta;
+
+    // Records written before the ledger was enabled have no metadata
+    let meta = {};
+    try {
+      if (space !== -1) meta = JSON.parse(body.slice(space + 1));
+    } catch {
+      return null;
+    }
+    if (meta === null || typeof meta !== "object") return null;
+    if (!this.ledgerEnabled && !(meta.key && this.keys)) return delta;
+    return { ...meta, delta, ts: meta.ts ?? Date.now() };
+  }
+
+  _applyEntry(entry) {
+    const delta = typeof entry === "object" ? entry.delta : entry;
+    this.value = this.numbers.add(this.value, delta);
+    if (this.ledgerEnabled) {
+      this.ledgerPending.push(entry);
+    }
+    if (entry.key && this.keys) {
+      const seen = { key: entry.key, ts: entry.ts, value: this.value };
+      this.seenKeys.set(entry.key, seen);
+      this.keysPending.push(seen);
+    }
+  }
+
+  _snapshot() {
+    return this.numbers.toStorage(this.value);
+  }
+
+  _restore(snapshot) {
+    this.value = this.numbers.fromStorage(snapshot);
+  }
+
+  async _persist(snapshot, seq) {
+    if (!this.ledger && !this.keys) {
+      await this.storage.save(snapshot, seq);
+      return;
+    }
+
+    // Exactly the operations the snapshot includes go in with it
+    const entries = this.ledgerPending.splice(0);
+    const keys = this.keysPending.splice(0);
+    const since = Date.now() - this.idempotencyRetention;
+    await this.db.exec("BEGIN");
+    try {
+      await this.ledger?.insert(entries);
+      await this.keys?.insert(keys, since);
+      await this.storage.save(snapshot, seq);
+      await this.db.exec("COMMIT");
     } catch (err) {
-      console.error("Error replaying log:", err);
+      await this.db.exec("ROLLBACK").catch(() => {});
+      this.ledgerPending.unshift(...entries);
+      this.keysPending.unshift(...keys);
+      throw err;
+    }
+
+    for (const [key, { ts }] of this.seenKeys) {
+      if (ts < since) this.seenKeys.delete(key);
     }
   }
 
   // ---------- Core Operations ----------
 
-  _logOperationSync(delta) {
+  _formatEntry(entry) {
+    if (this.store) return this.store.formatEntry(this.name, entry);
+    return encodeRecord(++this.seq, this._encodeEntry(entry));
+  }
+
+  _logOperationSync(entry) {
     try {
-      fs.appendFileSync(this.logPath, `${delta}\n`);
+      this.log.appendSync(`${this._formatEntry(entry)}\n`, {
+        fsync: this.durability === "fsync",
+      });
+      if (this.durability === "fsync-batch") {
+        this._scheduleSync();
+      }
     } catch (err) {
-      console.error("Error writing to log (sync):", err);
+      this.logger.error("Error writing to log (sync):", err);
       throw err;
     }
   }
 
-  async _logOperationAsync(delta) {
-    // Add to buffer
-    this.writeBuffer.push(delta);
+  async _logOperationAsync(entry, waiter = null) {
+    // Add to buffer (framed now, so records keep increment order)
+    this.writeBuffer.push(this._formatEntry(entry));
+    if (waiter) {
+      this.writeWaiters.push(waiter);
+    }
+
+    this._scheduleWrite();
+  }
 
-    // Schedule a flush if not already scheduled
-    if (!this.flushTimer) {
-      this.flushTimer = setTimeout(() => this._flushWriteBuffer(), 50);
+  // Durable callers are waiting: write as soon as the append in flight
+  // lands, and let everyone who arrives meanwhile share the next one
+  _scheduleWrite(delay = this.writeWaiters.length > 0 ? 0 : this.batchDelay) {
+    if (this.flushTimer) {
+      if (delay >= this.flushTimerDelay) return;
+      clearTimeout(this.flushTimer);
     }
+
+    this.flushTimerDelay = delay;
+    this.flushTimer = setTimeout(() => this._flushWriteBuffer(), delay);
   }
 
   async _flushWriteBuffer() {
-    if (this.isWriting || this.writeBuffer.length === 0) return;
+    // Let an append already in flight land first, so records stay in order
+    await this._settleWrites();
+    if (this.writeBuffer.length === 0) return;
 
-    this.isWriting = true;
-    this.flushTimer = null;
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
 
     const toWrite = [...this.writeBuffer];
+    const waiters = [...this.writeWaiters];
     this.writeBuffer = [];
+    this.writeWaiters = [];
+    let failed = false;
 
     try {
       const content = toWrite.join("\n") + "\n";
-      await fsPromises.appendFile(this.logPath, content);
+      this.writing = this.log.append(content, {
+        fsync: isFsynced(this.durability),
+      });
+      await this.writing;
+
+      for (const { resolve } of waiters) resolve();
+      this.lastError = null;
     } catch (err) {
-      console.error("Error writing to log (async):", err);
-      // Put failed writes back in buffer
+      this.logger.error("Error writing to log (async):", err);
+      this.lastError = err;
+      this._emitError(err);
+      // Put failed writes back in buffer; their waiters keep waiting
       this.writeBuffer.unshift(...toWrite);
+      this.writeWaiters.unshift(...waiters);
+      failed = true;
     } finally {
-      this.isWriting = false;
-      
-      // If more writes came in while we were writing, schedule another flush
-      if (this.writeBuffer.length > 0 && !this.flushTimer) {
-        this.flushTimer = setTimeout(() => this._flushWriteBuffer(), 50);
+      this.writing = null;
+      this._releaseBlocked();
+
+      // If more writes came in while we were writing, schedule another
+      // flush; once closing, the lock may soon belong to someone else
+      if (this.writeBuffer.length > 0 && !this.closing) {
+        this._scheduleWrite(failed ? this.batchDelay : undefined);
+      }
+    }
+  }
+
+  _scheduleSync() {
+    if (this.syncTimer) return;
+
+    // One fsync covers every record written during the window
+    this.syncTimer = setTimeout(() => this._runSync(), this.batchDelay);
+  }
+
+  _runSync() {
+    clearTimeout(this.syncTimer);
+    this.syncTimer = null;
+
+    const waiters = this.syncWaiters;
+    this.syncWaiters = [];
+
+    try {
+      this.log.sync();
+      for (const { resolve } of waiters) resolve();
+    } catch (err) {
+      this.logger.error("Error syncing log:", err);
+      this._emitError(err);
+      for (const { reject } of waiters) reject(err);
+    }
+  }
+
+  /**
+   * Add `delta` to the value. Returns a promise of the new value instead
+   * only while the write buffer is full with `onBufferFull: "block"`.
+   * With an `idempotencyKey` it returns the new value, and a key seen
+   * before returns the value its first use produced, changing nothing.
+   * @param {object} [meta] - `{ reason, actor, ref }` for the ledger, and
+   *   `idempotencyKey` with `idempotency` enabled.
+   */
+  increment(delta = 1, meta) {
+    delta = this._delta(delta);
+    meta = this._meta(meta);
+    const seen = this._seen(meta);
+    if (seen) return seen.value;
+    if (this._bufferFull()) {
+      return this._whenBufferFull(() => {
+        // A retry may have been blocked behind the first call
+        if (!this._seen(meta)) this._increment(delta, meta);
+        return this._seen(meta)?.value ?? this.value;
+      });
+    }
+    this._increment(delta, meta);
+    if (meta?.key) return this.value;
+  }
+
+  _increment(delta, meta) {
+    const bounded = this._bound(delta);
+    if (this._clampedAway(bounded, delta)) return;
+    this._apply(bounded, null, meta);
+  }
+
+  // Deltas must come back from the log exactly as they went in, so wrong
+  // types, non-finite numbers and excess precision are rejected up front
+  _delta(delta) {
+    return this.numbers.from(delta);
+  }
+
+  // Metadata only goes to the ledger, and keys to the idempotency table;
+  // anywhere else they would be lost
+  _meta(meta) {
+    if (meta === undefined || meta === null) return null;
+    if (typeof meta !== "object") {
+      throw new TypeError("meta must be an object: { reason, actor, ref, idempotencyKey }");
+    }
+
+    const result = {};
+    const { idempotencyKey, ...rest } = meta;
+    if (idempotencyKey !== undefined && idempotencyKey !== null) {
+      if (!this.idempotencyRetention) {
+        throw new Error("idempotencyKey needs a counter with idempotency enabled");
+      }
+      if (typeof idempotencyKey !== "string" || idempotencyKey === "") {
+        throw new TypeError("meta.idempotencyKey must be a non-empty string");
+      }
+      result.key = idempotencyKey;
+    }
+
+    for (const key of ["reason", "actor", "ref"]) {
+      if (rest[key] === undefined || rest[key] === null) continue;
+      if (!this.ledgerEnabled) {
+        throw new Error("Operation metadata needs a counter with ledger: true");
+      }
+      if (typeof rest[key] !== "string") {
+        throw new TypeError(`meta.${key} must be a string`);
+      }
+      result[key] = rest[key];
+    }
+    return result;
+  }
+
+  // The first use of this operation's key, if it is still remembered
+  _seen(meta) {
+    const seen = meta?.key && this.seenKeys.get(meta.key);
+    if (!seen || Date.now() - seen.ts >= this.idempotencyRetention) return null;
+    return seen;
+  }
+
+  // ---------- Backpressure ----------
+  //
+  // In async mode records wait in writeBuffer until they are appended. If
+  // appends keep failing (a full disk), the buffer would grow without
+  // bound, so at maxBuffer records new operations are thrown out, held
+  // back or dropped. Blocked operations run in order as soon as a write
+  // makes room, ahead of anything that arrives later.
+
+  _bufferFull() {
+    return (
+      this.mode === "async" &&
+      this.durability !== "none" &&
+      (this.writeBuffer.length >= this.maxBuffer || this.blocked.length > 0)
+    );
+  }
+
+  _whenBufferFull(run) {
+    if (this.onBufferFull === "drop") {
+      this.dropped++;
+      return undefined;
+    }
+    if (this.onBufferFull === "block") {
+      return new Promise((resolve, reject) => {
+        this.blocked.push({ run, resolve, reject });
+      });
+    }
+    throw new CounterBufferFullError(this.name, this.maxBuffer);
+  }
+
+  _releaseBlocked() {
+    while (this.blocked.length > 0 && this.writeBuffer.length < this.maxBuffer) {
+      const { run, resolve, reject } = this.blocked.shift();
+      try {
+        resolve(run());
+      } catch (err) {
+        reject(err);
       }
     }
   }
 
-  increment(delta = 1) {
+  /**
+   * "degraded" while the last log write failed or the write buffer is full.
+   * @returns {{status: string, buffered: number, maxBuffer: number,
+   *   blocked: number, dropped: number, lastError: Error|null}}
+   */
+  health() {
+    const degraded = this.lastError !== null || this._bufferFull();
+    return {
+      status: degraded ? "degraded" : "ok",
+      buffered: this.writeBuffer.length,
+      maxBuffer: this.maxBuffer,
+      blocked: this.blocked.length,
+      dropped: this.dropped,
+      lastError: this.lastError,
+    };
+  }
+
+  // ---------- Bounds & Conditional Operations ----------
+  //
+  // Decisions are made against the in-memory value, and only the delta
+  // that was actually applied is logged. Replay adds those same deltas to
+  // the same starting point, so it can never land outside a bound.
+
+  _fits(delta) {
+    const { add, compare } = this.numbers;
+    return (
+      compare(add(add(this.value, this.reservedDown), delta), this.min) >= 0 &&
+      compare(add(add(this.value, this.reservedUp), delta), this.max) <= 0
+    );
+  }
+
+  // Returns the delta to apply: unchanged, clamped, or rejected by throwing
+  _bound(delta) {
+    if (this._fits(delta)) return delta;
+
+    if (this.onBound === "clamp") {
+      // Only a finite bound can have been crossed
+      const { add, sub, compare } = this.numbers;
+      const target = add(this.value, delta);
+      if (compare(add(target, this.reservedUp), this.max) > 0) {
+        return sub(sub(this.max, this.reservedUp), this.value);
+      }
+      return sub(sub(this.min, this.reservedDown), this.value);
+    }
+
+    throw new CounterBoundError(this.name, this.value, delta, this.min, this.max);
+  }
+
+  // Clamping at a bound left nothing of a non-zero delta
+  _clampedAway(bounded, delta) {
+    const { compare, zero } = this.numbers;
+    return compare(bounded, zero) === 0 && compare(delta, zero) !== 0;
+  }
+
+  /**
+   * Apply the whole delta if the result stays within bounds. Never
+   * blocks: returns false while the write buffer is full, unless
+   * `onBufferFull` is "throw".
+   * @returns {boolean} Whether the delta was applied.
+   */
+  tryIncrement(delta = 1, meta) {
+    delta = this._delta(delta);
+    meta = this._meta(meta);
+    if (this._seen(meta)) return true;
+    if (this._bufferFull()) {
+      if (this.onBufferFull === "block") return false;
+      return this._whenBufferFull() ?? false;
+    }
+    if (!this._fits(delta)) return false;
+    this._apply(delta, null, meta);
+    return true;
+  }
+
+  /**
+   * Set the value to `next` only if it currently equals `expected`.
+   * @returns {boolean} Whether the value was changed.
+   */
+  compareAndSet(expected, next) {
+    const { from, sub, compare } = this.numbers;
+    expected = from(expected);
+    next = from(next);
+    if (compare(this.value, expected) !== 0) return false;
+    return compare(next, expected) === 0 || this.tryIncrement(sub(next, expected));
+  }
+
+  /**
+   * Increment only if the result would not exceed `limit`.
+   * @returns {boolean} Whether the delta was applied.
+   */
+  incrementIfBelow(limit, delta = 1, meta) {
+    const { from, add, compare } = this.numbers;
+    delta = this._delta(delta);
+    if (this._seen(this._meta(meta))) return true;
+    if (compare(add(this.value, delta), from(limit)) > 0) return false;
+    return this.tryIncrement(delta, meta);
+  }
+
+  /**
+   * Like increment(), but resolves with the new value once the delta is
+   * as durable as `durability` promises: appended (and fsynced, if
+   * configured) to the log, or flushed to SQLite when there is no log.
+   * In async mode concurrent callers share a single append. While the
+   * write buffer is full it waits for room with `onBufferFull: "block"`
+   * and rejects with CounterBufferFullError otherwise.
+   */
+  async incrementDurable(delta = 1, meta) {
+    delta = this._delta(delta);
+    meta = this._meta(meta);
+    if (this._bufferFull()) {
+      if (this.onBufferFull !== "block") {
+        throw new CounterBufferFullError(this.name, this.maxBuffer);
+      }
+      return this._whenBufferFull(() => this._incrementDurable(delta, meta));
+    }
+    return this._incrementDurable(delta, meta);
+  }
+
+  async _incrementDurable(delta, meta) {
+    // A retry may come before the first call's record is durable; the
+    // first call is the one that waits for it
+    const seen = this._seen(meta);
+    if (seen) return seen.value;
+
+    const bounded = this._bound(delta);
+    if (this._clampedAway(bounded, delta)) return this.value;
+    delta = bounded;
+
+    if (this.durability === "none") {
+      this._apply(delta, null, meta);
+      const value = this.value;
+      await this.flush();
+      return value;
+    }
+
     if (this.mode === "sync") {
-      this._logOperationSync(delta);
+      this._apply(delta, null, meta);
+      const value = this.value;
+      if (this.durability === "fsync-batch") {
+        await new Promise((resolve, reject) => {
+          this.syncWaiters.push({ resolve, reject });
+        });
+      }
+      return value;
+    }
+
+    let waiter;
+    const written = new Promise((resolve, reject) => {
+      waiter = { resolve, reject };
+    });
+    this._apply(delta, waiter, meta);
+    const value = this.value;
+    await written;
+    return value;
+  }
+
+  _apply(delta, waiter, meta = null) {
+    const entry = this._entry(delta, meta);
+
+    if (this.durability === "none") {
+      // No log: memory only until the next flush
+    } else if (this.mode === "sync") {
+      this._logOperationSync(entry);
     } else {
-      this._logOperationAsync(delta); // Fire and forget
+      this._logOperationAsync(entry, waiter); // Fire and forget
     }
 
-    this.value += delta;
+    const previous = this.getValue();
+    this._applyEntry(entry);
     this.pending++;
+    this.lastOpAt = Date.now();
+    this._changed(previous);
 
     if (this.pending >= this.flushEvery) {
-      this.flush();
+      this.flush().catch((err) => this._emitError(err));
     }
   }
 
-  decrement(delta = 1) {
-    this.increment(-delta);
+  decrement(delta = 1, meta) {
+    const { sub, zero } = this.numbers;
+    return this.increment(sub(zero, this._delta(delta)), meta);
   }
 
   getValue() {
@@ -157,7 +824,20 @@ export default class ThreeStateCounter {
   // ---------- Flush to Persistent DB ----------
 
   async flush() {
-    if (!this.db || !this.db.open) return; // Skip if DB is closed
+    if (!this.ready) return; // Skip if closed
+
+    // Shared counters are persisted together with their siblings
+    if (this.store) {
+      return this.store.flush();
+    }
+
+    const run = this.flushQueue.then(() => this._flush());
+    this.flushQueue = run.catch(() => {});
+    return run;
+  }
+
+  async _flush() {
+    if (!this.ready) return;
 
     try {
       // If async mode, ensure buffered writes are flushed first
@@ -165,32 +845,300 @@ export default class ThreeStateCounter {
         await this._flushWriteBuffer();
       }
 
-      await this.db.run(
-        "UPDATE counter_state SET value = ? WHERE id = 1",
-        this.value
-      );
+      // Snapshot: the value covers exactly the records up to this.seq, and
+      // every record past logOffset is newer than the snapshot
+      const snapshot = this._snapshot();
+      const value = this.getValue();
+      const seq = this.seq;
+      const logOffset = this.log.size();
 
-      await fsPromises.writeFile(this.logPath, "");
+      // Value and sequence number commit together, so a crash before the
+      // log is cut cannot make replay count those records twice
+      await this._persist(snapshot, seq);
+
+      await this._cutLog(logOffset);
       this.pending = 0;
+      this.lastFlushAt = Date.now();
+
+      if (this.history) {
+        await this.history.record(this.numbers.toStorage(value));
+      }
+      this.emit("flush", { value, seq });
     } catch (err) {
-      console.error("Error flushing to database:", err);
+      this.logger.error("Error flushing to database:", err);
       throw err;
     }
   }
 
+  // ---------- Flush Scheduling ----------
+  //
+  // maxOps is checked on every operation. The other triggers are checked
+  // by a background timer, which close() stops.
+
+  _startScheduler() {
+    const { maxIntervalMs, maxLogBytes, idleMs } = this.flushPolicy;
+    const periods = [maxIntervalMs, idleMs].filter((ms) => ms > 0);
+    if (periods.length === 0 && !(maxLogBytes > 0)) return;
+
+    // Often enough to act within about a quarter of the shortest period
+    const tick = Math.min(1000, Math.max(10, Math.min(...periods) / 4));
+
+    this.lastFlushAt = this.lastOpAt = Date.now();
+    this.schedulerTimer = setInterval(() => this._checkFlushPolicy(), tick);
+    this.schedulerTimer.unref();
+  }
+
+  _flushDue(now = Date.now()) {
+    const { maxIntervalMs, maxLogBytes, idleMs } = this.flushPolicy;
+
+    if (maxLogBytes > 0 && this.log.size() >= maxLogBytes) return true;
+    if (this.pending === 0) return false;
+    return (
+      (maxIntervalMs > 0 && now - this.lastFlushAt >= maxIntervalMs) ||
+      (idleMs > 0 && now - this.lastOpAt >= idleMs)
+    );
+  }
+
+  _checkFlushPolicy() {
+    if (this.scheduledFlush || !this._flushDue()) return;
+
+    this.scheduledFlush = this.flush()
+      .catch((err) => this._emitError(err))
+      .finally(() => {
+        this.scheduledFlush = null;
+      });
+  }
+
+  // ---------- Events & Watchers ----------
+
+  _changed(previous) {
+    if (this.listenerCount("change") === 0) return;
+    const value = this.getValue();
+    this.emit("change", { value, previous, delta: this.numbers.sub(value, previous) });
+  }
+
+  // An "error" event without listeners would throw from background work
+  _emitError(err) {
+    if (this.listenerCount("error") > 0) {
+      this.emit("error", err);
+    }
+  }
+
+  /**
+   * Call `callback(value)` whenever the value reaches or crosses
+   * `threshold`, in either direction.
+   * @returns {() => void} Removes the watcher.
+   */
+  onThreshold(threshold, callback) {
+    const { compare } = this.numbers;
+    threshold = this.numbers.from(threshold);
+    const listener = ({ value, previous }) => {
+      const before = compare(previous, threshold);
+      const after = compare(value, threshold);
+      if ((before < 0 && after >= 0) || (before > 0 && after <= 0)) {
+        callback(value);
+      }
+    };
+    this.on("change", listener);
+    return () => this.off("change", listener);
+  }
+
+  /**
+   * Call `callback(value)` whenever the value crosses a multiple of `n`.
+   * @returns {() => void} Removes the watcher.
+   */
+  onEvery(n, callback) {
+    const { floorDiv, compare, zero } = this.numbers;
+    n = this.numbers.from(n);
+    if (compare(n, zero) <= 0) {
+      throw new Error("n must be a positive number");
+    }
+    const listener = ({ value, previous }) => {
+      if (floorDiv(value, n) !== floorDiv(previous, n)) {
+        callback(value);
+      }
+    };
+    this.on("change", listener);
+    return () => this.off("change", listener);
+  }
+
+  /**
+   * Every new value, as an async iterator that ends when the counter is
+   * closed. Values are queued, so a slow consumer still sees each one.
+   *
+   *   for await (const value of counter.watch()) { ... }
+   */
+  async *watch() {
+    const queue = [];
+    let closed = false;
+    let wake = null;
+
+    const onChange = ({ value }) => {
+      queue.push(value);
+      wake?.();
+    };
+    const onClose = () => {
+      closed = true;
+      wake?.();
+    };
+    this.on("change", onChange);
+    this.once("close", onClose);
+
+    try {
+      for (;;) {
+        while (queue.length > 0) yield queue.shift();
+        if (closed) return;
+        await new Promise((resolve) => {
+          wake = resolve;
+        });
+        wake = null;
+      }
+    } finally {
+      this.off("change", onChange);
+      this.off("close", onClose);
+    }
+  }
+
+  // ---------- History ----------
+
+  /**
+   * Record the current value in the history now, without flushing.
+   */
+  async recordHistory() {
+    if (!this.history || !this.ready) return;
+    await this.history.record(this.numbers.toStorage(this.getValue()));
+  }
+
+  /**
+   * Recorded values between `from` and `to`, optionally sampled every
+   * `step` ms, each with its rate of change per second. See history.js.
+   */
+  async getHistory(options = {}) {
+    if (!this.history) {
+      throw new Error("History is not enabled for this counter");
+    }
+    return this.history.query(options);
+  }
+
+  // ---------- Ledger ----------
+
+  /**
+   * One page of ledger entries, oldest first, after flushing so the
+   * latest operations are included. Pass the returned `next` as `after`
+   * for the following page.
+   *
+   *   const { entries, next } = await counter.getLedger({ actor: "alice" });
+   *
+   * @param {object} [options] - `{ from, to, actor, limit, after }`, see ledger.js.
+   */
+  async getLedger(options = {}) {
+    const ledger = this._requireLedger();
+    await this.flush();
+    return ledger.query(options);
+  }
+
+  /**
+   * Recompute the balance from the ledger (including operations not yet
+   * flushed) and compare it with the value.
+   * @returns {Promise<{value: any, balance: any, difference: any, ok: boolean}>}
+   */
+  async reconcileLedger() {
+    const ledger = this._requireLedger();
+    const { add, sub, compare } = this.numbers;
+
+    // A flush moves entries from memory into the table; it must not run
+    // while they are being added up
+    const run = this.flushQueue.then(async () => {
+      let balance = await ledger.balance();
+      for (const { delta } of this.ledgerPending) balance = add(balance, delta);
+      const value = this.getValue();
+      return { value, balance, difference: sub(value, balance), ok: compare(value, balance) === 0 };
+    });
+    this.flushQueue = run.catch(() => {});
+    return run;
+  }
+
+  // For changes made without an operation, such as CounterManager's reset()
+  _queueLedger(delta, meta) {
+    this.ledgerPending.push({ delta, ts: Date.now(), ...meta });
+  }
+
+  _requireLedger() {
+    if (!this.ledger) {
+      throw new Error("The ledger is not enabled for this counter");
+    }
+    return this.ledger;
+  }
+
+  async _settleWrites() {
+    // Failures are handled (and retried) by _flushWriteBuffer itself
+    while (this.writing) {
+      await this.writing.catch(() => {});
+    }
+  }
+
+  async _cutLog(offset) {
+    // The cut must not race an append that is still in flight
+    await this._settleWrites();
+    this.log.cut(offset, { fsync: isFsynced(this.durability) });
+  }
+
   async close() {
+    if (!this.ready) return;
+    this.closing = true;
+
+    if (this.schedulerTimer) {
+      clearInterval(this.schedulerTimer);
+      this.schedulerTimer = null;
+    }
+
+    if (this.historyTimer) {
+      clearInterval(this.historyTimer);
+      this.historyTimer = null;
+    }
+
     // Clear any pending flush timer
     if (this.flushTimer) {
       clearTimeout(this.flushTimer);
       this.flushTimer = null;
     }
 
+    // Run the batched fsync now so its waiters are not left hanging
+    if (this.syncTimer) {
+      this._runSync();
+    }
+
     // Ensure all writes are flushed
     if (this.mode === "async") {
       await this._flushWriteBuffer();
     }
 
-    await this.flush();
-    await this.db.close();
+    // Nothing will make room for blocked operations once we are closed,
+    // nor retry the write durable callers are waiting for
+    for (const { reject } of this.blocked.splice(0)) {
+      reject(new Error("Counter was closed while waiting for buffer space"));
+    }
+    for (const { reject } of this.writeWaiters.splice(0)) {
+      reject(new Error("Counter was closed before its log write succeeded"));
+    }
+
+    if (this.store) {
+      // Leave the shared DB open for the other counters
+      await this.store.detach(this);
+      this.ready = false;
+      this.db = null;
+      this.emit("close");
+      return;
+    }
+
+    try {
+      await this.flush();
+      this.ready = false;
+      await this.storage.close();
+    } finally {
+      this.lock?.release();
+      this.emit("close");
+    }
   }
-}
\ No newline at end of file
+}
+
@@ -0,0 +1,48 @@
+/**
+ * Durability levels, from fastest to safest:
+ *
+ *   "none"        - No write-ahead log. Only what the last flush() wrote
+ *                   to SQLite survives a crash.
+ *   "write"       - Records are written to the log but left in the OS page
+ *                   cache. Survives a process crash, not a power failure.
+ *   "fsync-batch" - Records are written at once and fsynced once per batch
+ *                   window. A power failure loses at most one window.
+ *   "fsync"       - Every log write is fsynced before it is acknowledged.
+ *
+ * In async mode records already go to disk in batches, so both fsync
+ * levels fsync each batch as it is written.
+ */
+export const DURABILITY_LEVELS = ["none", "write", "fsync-batch", "fsync"];
+
+// SQLite must be at least as durable as the log it lets us cut. Even
+// without a log it keeps a real journal: an in-memory one (or none) can
+// leave the database corrupt after a crash mid-transaction. In WAL mode
+// NORMAL only gives up the last commits on a power failure.
+const PRAGMAS = {
+  none: { journal_mode: "WAL", synchronous: "NORMAL" },
+  write: { journal_mode: "WAL", synchronous: "NORMAL" },
+  "fsync-batch": { journal_mode: "WAL", synchronous: "FULL" },
+  fsync: { journal_mode: "WAL", synchronous: "FULL" },
+};
+
+export function defaultDurability(mode) {
+  return mode === "sync" ? "fsync" : "write";
+}
+
+export function validateDurability(durability) {
+  if (!DURABILITY_LEVELS.includes(durability)) {
+    throw new Error(
+      `durability must be one of ${DURABILITY_LEVELS.map((l) => `"${l}"`).join(", ")}`
+    );
+  }
+}
+
+export function isFsynced(durability) {
+  return durability === "fsync" || durability === "fsync-batch";
+}
+
+export async function applyDurability(db, durability) {
+  const { journal_mode, synchronous } = PRAGMAS[durability];
+  await db.exec(`PRAGMA journal_mode = ${journal_mode}`);
+  await db.exec(`PRAGMA synchronous = ${synchronous}`);
+}
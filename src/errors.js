@@ -0,0 +1,46 @@
+/**
+ * Thrown when another process (or another counter in this process)
+ * already owns the counter's files.
+ */
+export class CounterLockedError extends Error {
+  constructor(lockPath, pid) {
+    super(`Counter files are locked by process ${pid} (${lockPath})`);
+    this.name = "CounterLockedError";
+    this.code = "ECOUNTERLOCKED";
+    this.lockPath = lockPath;
+    this.pid = pid;
+  }
+}
+
+/**
+ * Thrown when a change would take a bounded counter below `min` or above
+ * `max` and the counter is set to reject rather than clamp.
+ */
+export class CounterBoundError extends RangeError {
+  constructor(name, value, delta, min, max) {
+    const label = name ? `Counter "${name}"` : "Counter";
+    super(`${label} would leave [${min}, ${max}]: ${value} + ${delta}`);
+    this.name = "CounterBoundError";
+    this.code = "ECOUNTERBOUND";
+    this.counter = name;
+    this.value = value;
+    this.delta = delta;
+    this.min = min;
+    this.max = max;
+  }
+}
+
+/**
+ * Thrown when an async counter's write buffer is full (typically because
+ * log writes keep failing) and the counter is set to throw.
+ */
+export class CounterBufferFullError extends Error {
+  constructor(name, maxBuffer) {
+    const label = name ? `Counter "${name}"` : "Counter";
+    super(`${label} has ${maxBuffer} unwritten log records; write buffer is full`);
+    this.name = "CounterBufferFullError";
+    this.code = "ECOUNTERBUFFERFULL";
+    this.counter = name;
+    this.maxBuffer = maxBuffer;
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * JSON and CSV forms of CounterManager.export() / import().
+ *
+ * Each counter is one row: its value and the setup() arguments needed to
+ * recreate it elsewhere. BigInt values and deltas are written as strings,
+ * as JSON has no BigInt; decimal values already are strings.
+ */
+
+export const EXPORT_FORMATS = ["json", "csv"];
+
+const COLUMNS = ["name", "value", "jump", "flushEvery", "mode", "numberType", "scale"];
+
+/**
+ * @param {{name: string, value: number|bigint|string, jump: number|bigint|string,
+ *   flushEvery: number, mode: string, numberType: string, scale?: number}[]} rows
+ * @param {string} [format="json"] - "json" or "csv".
+ * @returns {string}
+ */
+export function renderCounters(rows, format = "json") {
+  validateFormat(format);
+
+  const plain = rows.map((row) => {
+    const out = {};
+    for (const column of COLUMNS) {
+      const value = row[column];
+      if (value !== undefined) out[column] = typeof value === "bigint" ? `${value}` : value;
+    }
+    return out;
+  });
+
+  if (format === "json") {
+    return `${JSON.stringify({ version: 1, counters: plain }, null, 2)}\n`;
+  }
+
+  const lines = [COLUMNS.join(",")];
+  for (const row of plain) {
+    lines.push(COLUMNS.map((column) => csvField(row[column] ?? "")).join(","));
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * The rows of renderCounters() output, with values and deltas converted
+ * back to their number type.
+ * @param {string} text
+ * @param {string} [format="json"] - "json" or "csv".
+ */
+export function parseCounters(text, format = "json") {
+  validateFormat(format);
+
+  let rows;
+  if (format === "json") {
+    const parsed = JSON.parse(text);
+    rows = Array.isArray(parsed) ? parsed : parsed.counters;
+    if (!Array.isArray(rows)) {
+      throw new Error("Expected an array of counters or { counters: [...] }");
+    }
+  } else {
+    const [header, ...records] = parseCsv(text).filter((r) => r.some((cell) => cell !== ""));
+    if (!header?.includes("name") || !header.includes("value")) {
+      throw new Error("CSV needs a header row with at least name and value");
+    }
+    rows = records.map((cells) =>
+      Object.fromEntries(header.map((column, i) => [column, cells[i] ?? ""]))
+    );
+  }
+
+  return rows.map((row, i) => {
+    if (typeof row.name !== "string" || row.name === "") {
+      throw new Error(`Counter ${i + 1} has no name`);
+    }
+    const numberType = row.numberType || "integer";
+    return {
+      name: row.name,
+      value: revive(row.value, numberType),
+      jump: row.jump === undefined || row.jump === "" ? undefined : revive(row.jump, numberType),
+      flushEvery: optionalNumber(row.flushEvery),
+      mode: row.mode || undefined,
+      numberType,
+      scale: optionalNumber(row.scale),
+    };
+  });
+}
+
+function validateFormat(format) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error('format must be "json" or "csv"');
+  }
+}
+
+// CSV cells, and BigInts in JSON, arrive as strings
+function revive(value, numberType) {
+  if (typeof value !== "string") return value;
+  if (numberType === "bigint" && /^-?\d+$/.test(value)) return BigInt(value);
+  if (numberType === "integer" && value.trim() !== "") return Number(value);
+  return value;
+}
+
+function optionalNumber(value) {
+  return value === undefined || value === "" ? undefined : Number(value);
+}
+
+// ---------- CSV ----------
+
+function csvField(value) {
+  const text = `${value}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180: quoted fields may contain commas, quotes ("") and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char !== '"') field += char;
+      else if (text[i + 1] === '"') field += text[i++];
+      else quoted = false;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
@@ -0,0 +1,191 @@
+import ThreeStateCounter from "./core.js";
+
+/**
+ * Many counters of one kind, addressed by key (e.g. an API quota per
+ * customer). Every key is a row in a SharedStore, so each one is logged,
+ * replayed and persisted exactly like a single shared counter.
+ *
+ * Only the `maxKeys` most recently used keys are held in memory. A key is
+ * loaded from SQLite on first use; when the budget is exceeded the least
+ * recently used key is dropped; its value goes to SQLite with the store's
+ * next flush.
+ */
+export default class CounterFamily {
+  constructor(name, {
+    store, // Initialised SharedStore that holds the keys
+    maxKeys = 1000, // Keys kept in memory at once
+    jump = 1, // Default delta for incr()
+    flushEvery = 100,
+    mode = "async",
+    durability,
+    min,
+    max,
+    onBound,
+    maxBuffer,
+    onBufferFull,
+    logger = store?.logger ?? console,
+  } = {}) {
+    if (!store) {
+      throw new Error("A counter family needs a shared store");
+    }
+    if (!Number.isInteger(maxKeys) || maxKeys < 1) {
+      throw new Error("maxKeys must be a positive integer");
+    }
+
+    this.name = name;
+    this.store = store;
+    this.maxKeys = maxKeys;
+    this.jump = jump;
+    this.logger = logger;
+    this.counterOptions = {
+      flushEvery,
+      mode,
+      durability,
+      min,
+      max,
+      onBound,
+      maxBuffer,
+      onBufferFull,
+      logger,
+    };
+
+    this.loaded = new Map(); // key -> ThreeStateCounter, least recently used first
+    this.loading = new Map(); // key -> Promise<ThreeStateCounter>
+    this.evicting = new Map(); // key -> Promise that settles once detached
+  }
+
+  // ---------- Keys ----------
+
+  /**
+   * Add `delta` to the key's counter, loading it if needed.
+   * @returns {Promise<number>} The key's new value.
+   */
+  async incr(key, delta = this.jump) {
+    const counter = await this._use(key);
+    counter.increment(delta);
+    return counter.value;
+  }
+
+  /**
+   * @returns {Promise<number>} The key's current value (0 if never used).
+   */
+  async get(key) {
+    const counter = await this._use(key);
+    return counter.value;
+  }
+
+  /**
+   * Every key of the family with its current value, loaded or not.
+   * @returns {Promise<[string, number][]>}
+   */
+  async entries() {
+    // Keys evicted since the last flush aren't in SQLite yet
+    await Promise.all(this.evicting.values());
+
+    const prefix = this._rowName("");
+    const rows = await this.store.db.all(
+      "SELECT name, value FROM counters WHERE substr(name, 1, ?) = ? ORDER BY name",
+      prefix.length,
+      prefix
+    );
+
+    const values = new Map();
+    for (const { name, value } of rows) {
+      values.set(name.slice(prefix.length), value);
+    }
+    for (const [name, counter] of this.store.detached) {
+      if (name.startsWith(prefix)) values.set(name.slice(prefix.length), counter.value);
+    }
+    for (const [key, counter] of this.loaded) {
+      values.set(key, counter.value);
+    }
+    return [...values];
+  }
+
+  get size() {
+    return this.loaded.size;
+  }
+
+  _rowName(key) {
+    return `${this.name}:${key}`;
+  }
+
+  // ---------- Loading & Eviction ----------
+
+  // Resolves with a loaded counter that is still loaded, so the caller
+  // can use it synchronously
+  async _use(key) {
+    key = `${key}`;
+    for (;;) {
+      const counter = await this._load(key);
+      if (this.loaded.get(key) === counter) return counter;
+    }
+  }
+
+  _load(key) {
+    const counter = this.loaded.get(key);
+    if (counter) {
+      // Move to the most recently used end
+      this.loaded.delete(key);
+      this.loaded.set(key, counter);
+      return counter;
+    }
+
+    let loading = this.loading.get(key);
+    if (!loading) {
+      loading = this._open(key).finally(() => this.loading.delete(key));
+      this.loading.set(key, loading);
+    }
+    return loading;
+  }
+
+  async _open(key) {
+    // The key's evicted counter must be detached before it is attached again
+    await this.evicting.get(key);
+
+    const counter = new ThreeStateCounter({
+      ...this.counterOptions,
+      name: this._rowName(key),
+      store: this.store,
+    });
+    await counter.init();
+
+    this.loaded.set(key, counter);
+    this._evictCold();
+    return counter;
+  }
+
+  _evictCold() {
+    while (this.loaded.size > this.maxKeys) {
+      const [key, counter] = this.loaded.entries().next().value;
+      this.loaded.delete(key);
+
+      const done = counter
+        .close()
+        .catch((err) => {
+          this.logger.error(`Error evicting ${this._rowName(key)}:`, err);
+        })
+        .finally(() => {
+          if (this.evicting.get(key) === done) this.evicting.delete(key);
+        });
+      this.evicting.set(key, done);
+    }
+  }
+
+  // ---------- Flush & Close ----------
+
+  async flush() {
+    await this.store.flush();
+  }
+
+  async close() {
+    await Promise.allSettled(this.loading.values());
+
+    const counters = [...this.loaded.values()];
+    this.loaded.clear();
+    await Promise.all([
+      ...counters.map((counter) => counter.close()),
+      ...this.evicting.values(),
+    ]);
+  }
+}
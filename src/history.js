@@ -0,0 +1,142 @@
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Finest first. Rollups keep the last value seen in each minute/hour.
+const RESOLUTIONS = [
+  ["raw", 0],
+  ["minute", MINUTE],
+  ["hour", HOUR],
+];
+
+const DEFAULT_RETENTION = {
+  raw: DAY,
+  minute: 7 * DAY,
+  hour: 365 * DAY,
+};
+
+const MAX_POINTS = 100000;
+
+/**
+ * (timestamp, value) snapshots of a counter in a `counter_history` table.
+ * Every snapshot is stored raw and rolled up into minute and hour buckets;
+ * each resolution is pruned after its own retention period.
+ */
+export default class History {
+  constructor(db, { name = "", retention = {}, clock = Date.now } = {}) {
+    this.db = db;
+    this.name = name; // Row key, so counters can share one database
+    this.retention = { ...DEFAULT_RETENTION, ...retention };
+    this.clock = clock;
+  }
+
+  async init() {
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS counter_history (
+        name TEXT NOT NULL,
+        resolution INTEGER NOT NULL,
+        ts INTEGER NOT NULL,
+        value NOT NULL,
+        PRIMARY KEY (name, resolution, ts)
+      )
+    `);
+  }
+
+  async record(value, ts = this.clock()) {
+    for (const [label, resolution] of RESOLUTIONS) {
+      const bucket = resolution ? Math.floor(ts / resolution) * resolution : ts;
+
+      await this.db.run(
+        "INSERT OR REPLACE INTO counter_history (name, resolution, ts, value) VALUES (?, ?, ?, ?)",
+        this.name,
+        resolution,
+        bucket,
+        value
+      );
+      await this.db.run(
+        "DELETE FROM counter_history WHERE name = ? AND resolution = ? AND ts < ?",
+        this.name,
+        resolution,
+        ts - this.retention[label]
+      );
+    }
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {number} [options.from] - Start, in ms. Defaults to an hour before `to`.
+   * @param {number} [options.to] - End, in ms. Defaults to now.
+   * @param {number} [options.step] - Sample every `step` ms. Without it, every
+   *   stored snapshot in the range is returned.
+   * @returns {Promise<{ts: number, value: number|null, rate: number|null}[]>}
+   *   `rate` is the change per second since the previous point.
+   */
+  async query({ to = this.clock(), from = to - HOUR, step } = {}) {
+    if (step !== undefined && !(step > 0)) {
+      throw new Error("step must be a positive number of ms");
+    }
+    if (step && (to - from) / step > MAX_POINTS) {
+      throw new Error(`History query would return more than ${MAX_POINTS} points`);
+    }
+
+    const resolution = this._resolutionFor(from, step);
+    const before = await this.db.get(
+      `SELECT ts, value FROM counter_history
+       WHERE name = ? AND resolution = ? AND ts < ?
+       ORDER BY ts DESC LIMIT 1`,
+      this.name,
+      resolution,
+      from
+    );
+    const rows = await this.db.all(
+      `SELECT ts, value FROM counter_history
+       WHERE name = ? AND resolution = ? AND ts >= ? AND ts <= ?
+       ORDER BY ts`,
+      this.name,
+      resolution,
+      from,
+      to
+    );
+
+    if (!step) {
+      let prev = before;
+      return rows.map(({ ts, value }) => {
+        const rate = prev ? rateOf(prev.value, value, ts - prev.ts) : null;
+        prev = { ts, value };
+        return { ts, value, rate };
+      });
+    }
+
+    // Value at each step is the last snapshot at or before it
+    const points = [];
+    let current = before ?? null;
+    let i = 0;
+    for (let ts = from; ts <= to; ts += step) {
+      while (i < rows.length && rows[i].ts <= ts) {
+        current = rows[i++];
+      }
+      const value = current ? current.value : null;
+      const prev = points[points.length - 1];
+      const rate =
+        prev && prev.value !== null && value !== null
+          ? rateOf(prev.value, value, step)
+          : null;
+      points.push({ ts, value, rate });
+    }
+    return points;
+  }
+
+  // Finest resolution that still covers `from` and is no coarser than `step`
+  _resolutionFor(from, step) {
+    const now = this.clock();
+    const allowed = RESOLUTIONS.filter(
+      ([, resolution]) => step === undefined || resolution <= step
+    );
+    const covering = allowed.find(([label]) => now - this.retention[label] <= from);
+    return (covering ?? allowed[allowed.length - 1])[1];
+  }
+}
+
+function rateOf(prevValue, value, ms) {
+  return ms > 0 ? (value - prevValue) / (ms / 1000) : null;
+}
@@ -0,0 +1,54 @@
+/**
+ * Idempotency keys a counter has seen, with the value each keyed
+ * operation produced, in a `counter_idempotency` table. Like ledger
+ * entries they are written in the same transaction as the snapshot that
+ * includes their operations; newer ones are rebuilt from the log.
+ */
+export default class IdempotencyKeys {
+  constructor(db, { numbers }) {
+    this.db = db;
+    this.numbers = numbers;
+  }
+
+  async init() {
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS counter_idempotency (
+        key TEXT PRIMARY KEY,
+        ts INTEGER NOT NULL,
+        value NOT NULL
+      )
+    `);
+  }
+
+  /**
+   * @param {number} since - Oldest `ts` still remembered, in ms.
+   * @returns {Promise<Map<string, {ts: number, value: any}>>}
+   */
+  async load(since) {
+    const rows = await this.db.all(
+      "SELECT key, ts, value FROM counter_idempotency WHERE ts >= ?",
+      since
+    );
+    return new Map(
+      rows.map(({ key, ts, value }) => [key, { ts, value: this.numbers.fromStorage(value) }])
+    );
+  }
+
+  /**
+   * Store `keys` and forget those older than `since`. Runs inside the
+   * caller's transaction.
+   * @param {{key: string, ts: number, value: any}[]} keys
+   * @param {number} since
+   */
+  async insert(keys, since) {
+    for (const { key, ts, value } of keys) {
+      await this.db.run(
+        "INSERT OR REPLACE INTO counter_idempotency (key, ts, value) VALUES (?, ?, ?)",
+        key,
+        ts,
+        this.numbers.toStorage(value)
+      );
+    }
+    await this.db.run("DELETE FROM counter_idempotency WHERE ts < ?", since);
+  }
+}
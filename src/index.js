@@ -1,9 +1,117 @@
+import fs from "fs";
+import path from "path";
 import ThreeStateCounter from "./core.js";
+import SharedStore from "./store.js";
+import WindowedCounter from "./window.js";
+import CounterFamily from "./family.js";
+import { renderMetrics, negotiateFormat, CONTENT_TYPES } from "./metrics.js";
+import { renderCounters, parseCounters } from "./export.js";
+import { JsonFileStorage, MemoryStorage, backupSqlite } from "./storage.js";
+import { MemoryLog } from "./wal.js";
+import { defaultDurability } from "./durability.js";
+import {
+  CounterLockedError,
+  CounterBoundError,
+  CounterBufferFullError,
+} from "./errors.js";
 
+// Names become file names and properties of the manager
+const NAME_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]{0,199}$/;
+
+/**
+ * Sets up and owns counters. The default export is one shared instance;
+ * create more to keep separate sets of counters, e.g. one per test:
+ *
+ *   const counters = new CounterManager({ dataDir: "./data", mode: "sync" });
+ *
+ * Managers don't share names, so each can have its own "hits". Two
+ * managers with the same `dataDir` do share the files, and only one can
+ * own a counter's files at a time.
+ */
 class CounterManager {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dataDir="."] - Where counter files go; created
+   *   on first use. Relative shared-store paths are resolved against it.
+   * @param {string} [options.mode="async"] - Default mode of setup(),
+   *   setupWindow() and family().
+   * @param {number} [options.flushEvery=10] - Default flushEvery of setup()
+   *   and setupWindow().
+   * @param {{error: Function}} [options.logger=console] - See useLogger().
+   */
+  constructor({ dataDir = ".", mode = "async", flushEvery = 10, logger = console } = {}) {
+    if (typeof dataDir !== "string" || dataDir === "") {
+      throw new Error("dataDir must be a non-empty path");
+    }
+    this.dataDir = dataDir;
+    this.defaults = { mode, flushEvery };
+    this.dataDirReady = null;
+
     this.registry = {};
     this.instances = {}; // Store the actual counter instances
+    this.configs = {}; // setup() arguments per counter
+    this.families = {}; // name -> { family, store } (store if it owns one)
+    this.pending = new Map(); // name -> { kind, promise } of a setup in progress
+    this.logger = logger;
+
+    // Shared-store mode: one DB + one log for every counter
+    this.sharedStoreOptions = null;
+    this.store = null;
+    this.storeReady = null;
+
+    // installShutdownHooks(): the listeners it added, and the shutdown once started
+    this.shutdownHooks = null;
+    this.shuttingDown = null;
+  }
+
+  /**
+   * Keep every counter set up after this call as a row in one shared
+   * SQLite database with one shared write-ahead log.
+   * @param {object} [options]
+   * @param {string} [options.dbPath="counters.db"] - Shared database file.
+   * @param {string} [options.logPath="counters.log"] - Shared log file.
+   * @param {number} [options.lockTimeout=0] - ms to wait for another owner.
+   * @param {string} [options.durability="fsync"] - Durability of the shared
+   *   SQLite database and log cuts.
+   * Pass `null` to go back to one file pair per counter.
+   */
+  useSharedStore(options = {}) {
+    this.sharedStoreOptions = options;
+  }
+
+  /**
+   * Send every error the manager and the counters it creates report to
+   * `logger` instead of the console. Applies to counters set up after
+   * this call.
+   * @param {{error: Function}} logger - e.g. a pino or winston logger.
+   */
+  useLogger(logger) {
+    this.logger = logger ?? console;
+  }
+
+  async _getStore() {
+    if (!this.storeReady) {
+      const { dbPath = "counters.db", logPath = "counters.log", ...options } = this.sharedStoreOptions;
+      await this._ensureDataDir();
+      const store = new SharedStore({
+        logger: this.logger,
+        ...options,
+        dbPath: this._path(dbPath),
+        logPath: this._path(logPath),
+      });
+      // A failed init(), e.g. CounterLockedError, is retried next time
+      this.storeReady = store.init().then(
+        () => {
+          this.store = store;
+          return store;
+        },
+        (err) => {
+          this.storeReady = null;
+          throw err;
+        }
+      );
+    }
+    return this.storeReady;
   }
 
   /**
@@ -11,33 +119,289 @@ class CounterManager {
    * @param {string} name - Unique name for the counter.
    * @param {number} [initial=0] - Starting value.
    * @param {number} [jump=1] - Increment amount.
-   * @param {number} [flushEvery=10] - Number of ops before flush to SQLite.
-   * @param {string} [mode="async"] - "sync" (blocking, safer) or "async" (parallel, faster).
+   * @param {number} [flushEvery] - Number of ops before flush to SQLite;
+   *   the manager's default (10) if omitted.
+   * @param {string} [mode] - "sync" (blocking, safer) or "async" (parallel,
+   *   faster); the manager's default ("async") if omitted.
+   * @param {object} [options]
+   * @param {number} [options.lockTimeout=0] - ms to wait for another process
+   *   to release the counter's files before throwing CounterLockedError.
+   * @param {string} [options.durability] - "none", "write", "fsync-batch" or
+   *   "fsync". Defaults to "fsync" in sync mode and "write" in async mode.
+   * @param {number} [options.min] - Lowest value the counter may reach.
+   * @param {number} [options.max] - Highest value the counter may reach.
+   * @param {string} [options.onBound="reject"] - "reject" throws
+   *   CounterBoundError when a change would cross a bound, "clamp" stops at it.
+   * @param {boolean|object} [options.history=false] - Record the value on
+   *   every flush for getHistory(). Pass `{ interval, retention }` to also
+   *   sample every `interval` ms or change how long snapshots are kept.
+   * @param {boolean} [options.ledger=false] - Keep every operation, with
+   *   the `{ reason, actor, ref }` passed to the counter, in an append-only
+   *   ledger for getLedger() and reconcileLedger(). Needs SQLite storage
+   *   and no shared store.
+   * @param {boolean|object} [options.idempotency=false] - Let the counter
+   *   take `{ idempotencyKey }`: a key seen in the last `retention` ms
+   *   (default 24 hours) changes nothing and returns the value its first
+   *   use produced. Pass `{ retention }` to change the window. Needs SQLite
+   *   storage and no shared store.
+   * @param {object} [options.metric] - How metrics() exports the counter:
+   *   `{ name, help, type, labels }`. `type` is "counter" (default) or
+   *   "gauge"; counters sharing a `name` must differ in their `labels`.
+   * @param {number} [options.maxBuffer=Infinity] - Most unwritten log records
+   *   held in async mode, e.g. while the disk is full.
+   * @param {string} [options.onBufferFull="throw"] - Once maxBuffer is
+   *   reached: "throw" CounterBufferFullError, "block" (the counter returns
+   *   a promise of the new value) or "drop" (counted in health().dropped).
+   * @param {object} [options.flushPolicy] - When to flush to SQLite:
+   *   `{ maxOps, maxIntervalMs, maxLogBytes, idleMs }`, whichever comes
+   *   first. `maxOps` defaults to `flushEvery`, the others to 0, which
+   *   turns a trigger off.
+   * @param {number} [options.batchDelay=50] - ms async mode collects
+   *   writes for one append.
+   * @param {string} [options.storage="sqlite"] - Where snapshots go without
+   *   a shared store: "sqlite" (`name.db`), "json" (`name.json`, no native
+   *   module needed) or "memory" (snapshot and log, for tests).
+   * @param {string} [options.numberType="integer"] - "integer" (numbers),
+   *   "bigint" (BigInts of any size) or "decimal" (exact decimal strings
+   *   with `scale` fractional digits). Not available with a shared store.
+   * @param {number} [options.scale=2] - Fractional digits of decimals.
    */
-  async setup(name, initial = 0, jump = 1, flushEvery = 10, mode = "async") {
-    if (this.registry[name]) return this.registry[name];
+  async setup(name, initial = 0, jump = 1, flushEvery = this.defaults.flushEvery, mode = this.defaults.mode, options = {}) {
+    if (Object.hasOwn(this.registry, name)) return this.registry[name];
+    return this._setupOnce("counter", name, () => this._setup(name, initial, jump, flushEvery, mode, options));
+  }
 
-    const counterInstance = new ThreeStateCounter({
-      dbPath: `${name}.db`, // Unique DB per counter!
-      logPath: `${name}.log`,
-      flushEvery,
-      mode,
-    });
+  async _setup(name, initial, jump, flushEvery, mode, options) {
+    const {
+      lockTimeout = 0,
+      durability,
+      min,
+      max,
+      onBound,
+      history,
+      ledger,
+      idempotency,
+      metric,
+      maxBuffer,
+      onBufferFull,
+      flushPolicy,
+      batchDelay,
+      storage = "sqlite",
+      numberType,
+      scale,
+    } = options;
+
+    const counterInstance = this.sharedStoreOptions
+      ? new ThreeStateCounter({
+          name,
+          store: await this._getStore(),
+          flushEvery,
+          mode,
+          durability,
+          min,
+          max,
+          onBound,
+          history,
+          ledger,
+          idempotency,
+          maxBuffer,
+          onBufferFull,
+          flushPolicy,
+          batchDelay,
+          numberType,
+          logger: this.logger,
+        })
+      : new ThreeStateCounter({
+          dbPath: this._path(`${name}.db`), // Unique DB per counter!
+          logPath: this._path(`${name}.log`),
+          ...this._storageFor(name, storage, durability ?? defaultDurability(mode)),
+          flushEvery,
+          mode,
+          lockTimeout,
+          durability,
+          min,
+          max,
+          onBound,
+          history,
+          ledger,
+          idempotency,
+          maxBuffer,
+          onBufferFull,
+          flushPolicy,
+          batchDelay,
+          numberType,
+          scale,
+          logger: this.logger,
+        });
 
     // CRITICAL: Initialize async
+    await this._ensureDataDir();
     await counterInstance.init();
     
     // Set initial value after loading state
     // Only override if the loaded state is 0 and we want a different initial value
-    if (counterInstance.value === 0 && initial !== 0) {
+    const { from, compare, zero } = counterInstance.numbers;
+    initial = from(initial);
+    if (compare(counterInstance.value, zero) === 0 && compare(initial, zero) !== 0) {
       counterInstance.value = initial;
+      if (counterInstance.ledger) {
+        counterInstance._queueLedger(initial, { reason: "initial value" });
+      }
       await counterInstance.flush();
     }
 
-    // Define callable function
-    const fn = () => {
-      counterInstance.increment(jump);
-      return counterInstance.value;
+    return this._register(name, counterInstance, {
+      initial,
+      jump,
+      flushEvery,
+      mode,
+      metric,
+    });
+  }
+
+  // Concurrent calls for one name share the first one's setup; the
+  // others would find its files locked
+  _setupOnce(kind, name, create) {
+    const pending = this.pending.get(name);
+    if (pending?.kind === kind) return pending.promise;
+    this._checkName(name);
+
+    const promise = create().finally(() => this.pending.delete(name));
+    this.pending.set(name, { kind, promise });
+    return promise;
+  }
+
+  // Names may not leave dataDir, nor clash with the manager's own
+  // properties or another counter's files
+  _checkName(name) {
+    if (typeof name !== "string" || !NAME_PATTERN.test(name)) {
+      throw new Error(
+        `Invalid counter name ${JSON.stringify(name)}: use up to 200 letters, digits, ` +
+          '"_", "." and "-", not starting with "." or "-"'
+      );
+    }
+    if (name in this || Object.hasOwn(this.families, name) || this.pending.has(name)) {
+      throw new Error(`"${name}" is already in use on this manager`);
+    }
+  }
+
+  _path(file) {
+    return path.isAbsolute(file) ? file : path.join(this.dataDir, file);
+  }
+
+  async _ensureDataDir() {
+    this.dataDirReady ??= fs.promises.mkdir(this.dataDir, { recursive: true }).catch((err) => {
+      this.dataDirReady = null;
+      throw err;
+    });
+    await this.dataDirReady;
+  }
+
+  // Storage adapters for a counter with its own files
+  _storageFor(name, storage, durability) {
+    switch (storage) {
+      case "sqlite":
+        return {}; // The counter's default
+      case "json":
+        return { storage: new JsonFileStorage({ path: this._path(`${name}.json`), durability }) };
+      case "memory":
+        return { storage: new MemoryStorage(), log: new MemoryLog() };
+      default:
+        throw new Error('storage must be "sqlite", "json" or "memory"');
+    }
+  }
+
+  /**
+   * Setup a counter whose value is the count in the last `window` ms.
+   * Windowed counters always keep their own `name.db`/`name.log`.
+   * @param {string} name - Unique name for the counter.
+   * @param {object} [options]
+   * @param {number} [options.window=60000] - Window length in ms.
+   * @param {string} [options.type="sliding"] - "fixed" (clock-aligned,
+   *   resets each window) or "sliding" (moves one bucket at a time).
+   * @param {number} [options.buckets=10] - Buckets per sliding window.
+   * @param {number} [options.jump=1] - Increment amount.
+   * @param {number} [options.flushEvery] - Number of ops before flush to
+   *   SQLite; the manager's default if omitted.
+   * @param {string} [options.mode] - "sync" or "async"; the manager's
+   *   default if omitted.
+   * @param {number} [options.lockTimeout=0] - ms to wait for another owner.
+   * @param {string} [options.durability] - See setup().
+   * @param {boolean|object} [options.history=false] - See setup().
+   * @param {object} [options.flushPolicy] - See setup().
+   * @param {number} [options.batchDelay=50] - See setup().
+   * @param {object} [options.metric] - See setup(). `type` defaults to
+   *   "gauge", since the value drops as the window moves.
+   */
+  async setupWindow(name, options = {}) {
+    if (Object.hasOwn(this.registry, name)) return this.registry[name];
+    return this._setupOnce("counter", name, () => this._setupWindow(name, options));
+  }
+
+  async _setupWindow(name, options) {
+    const {
+      window = 60000,
+      type = "sliding",
+      buckets = 10,
+      jump = 1,
+      flushEvery = this.defaults.flushEvery,
+      mode = this.defaults.mode,
+      lockTimeout = 0,
+      durability,
+      history,
+      metric,
+      flushPolicy,
+      batchDelay,
+    } = options;
+
+    const counterInstance = new WindowedCounter({
+      dbPath: this._path(`${name}.db`),
+      logPath: this._path(`${name}.log`),
+      window,
+      type,
+      buckets,
+      flushEvery,
+      mode,
+      lockTimeout,
+      durability,
+      history,
+      flushPolicy,
+      batchDelay,
+      logger: this.logger,
+    });
+
+    await this._ensureDataDir();
+    await counterInstance.init();
+
+    const fn = this._register(name, counterInstance, {
+      initial: 0,
+      jump,
+      flushEvery,
+      mode,
+      window: { window, type, buckets },
+      metric: { type: "gauge", ...metric },
+    });
+
+    // Per-bucket breakdown of the current window
+    Object.defineProperty(fn, "buckets", {
+      get() {
+        return counterInstance.getBuckets();
+      },
+    });
+
+    return fn;
+  }
+
+  _register(name, counterInstance, config) {
+    const { jump } = config;
+
+    // Define callable function; a full write buffer with
+    // onBufferFull: "block" makes it return a promise of the value.
+    // Ledger counters take the operation's { reason, actor, ref }, and
+    // counters with idempotency an { idempotencyKey } for retries.
+    const fn = (meta) => {
+      const blocked = counterInstance.increment(jump, meta);
+      return blocked ?? counterInstance.value;
     };
 
     Object.defineProperty(fn, "value", {
@@ -46,27 +410,84 @@ class CounterManager {
       },
     });
 
+    // What init() replayed from the log (null if it was empty); the
+    // "recovered" event is over before setup() returns
+    Object.defineProperty(fn, "recovery", {
+      get() {
+        return counterInstance.recovery;
+      },
+    });
+
+    // Resolves with the new value once the increment is on disk
+    fn.incrementDurable = (meta) => counterInstance.incrementDurable(jump, meta);
+
+    // Conditional operations; each returns whether it changed the value
+    fn.tryIncrement = (delta = jump, meta) => counterInstance.tryIncrement(delta, meta);
+    fn.compareAndSet = (expected, next) => counterInstance.compareAndSet(expected, next);
+    fn.incrementIfBelow = (limit, delta = jump, meta) =>
+      counterInstance.incrementIfBelow(limit, delta, meta);
+
+    // { status: "ok" | "degraded", buffered, dropped, ... }
+    fn.health = () => counterInstance.health();
+
+    // Events and watchers; see ThreeStateCounter
+    fn.on = (event, listener) => {
+      counterInstance.on(event, listener);
+      return fn;
+    };
+    fn.off = (event, listener) => {
+      counterInstance.off(event, listener);
+      return fn;
+    };
+    fn.onThreshold = (threshold, callback) => counterInstance.onThreshold(threshold, callback);
+    fn.onEvery = (n, callback) => counterInstance.onEvery(n, callback);
+    fn.watch = () => counterInstance.watch();
+
+    // Recorded values and rates; see ThreeStateCounter#getHistory
+    fn.getHistory = (options) => counterInstance.getHistory(options);
+
+    // Audit trail; see ThreeStateCounter#getLedger
+    fn.getLedger = (options) => counterInstance.getLedger(options);
+    fn.reconcileLedger = () => counterInstance.reconcileLedger();
+
     fn.flush = async () => {
-      if (counterInstance.db && counterInstance.db.open) {
+      if (counterInstance.ready) {
         await counterInstance.flush();
       }
     };
     
     fn.reset = async (val = 0) => {
+      const { from, sub, compare } = counterInstance.numbers;
+      val = from(val);
+      if (compare(val, counterInstance.min) < 0 || compare(val, counterInstance.max) > 0) {
+        throw new CounterBoundError(
+          name,
+          counterInstance.value,
+          sub(val, counterInstance.value),
+          counterInstance.min,
+          counterInstance.max
+        );
+      }
+      const previous = counterInstance.value;
       counterInstance.value = val;
-      if (counterInstance.db && counterInstance.db.open) {
+      if (counterInstance.ledger) {
+        counterInstance._queueLedger(sub(val, previous), { reason: "reset" });
+      }
+      counterInstance._changed(previous);
+      if (counterInstance.ready) {
         await counterInstance.flush();
       }
     };
     
     fn.close = async () => {
-      if (counterInstance.db && counterInstance.db.open) {
+      if (counterInstance.ready) {
         await counterInstance.close();
       }
     };
 
     this.registry[name] = fn;
     this.instances[name] = counterInstance; // Store instance reference
+    this.configs[name] = { ...config, created: Date.now() };
     this[name] = fn;
 
     return fn;
@@ -76,33 +497,398 @@ class CounterManager {
     return Object.keys(this.registry);
   }
 
+  /**
+   * Every registered counter in Prometheus text exposition or OpenMetrics
+   * format, with HELP/TYPE metadata, labels and `_created` timestamps
+   * (when the counter was set up in this process).
+   * @param {object} [options]
+   * @param {string} [options.format="prometheus"] - "prometheus" or "openmetrics".
+   * @returns {string}
+   */
+  metrics({ format = "prometheus" } = {}) {
+    const samples = Object.entries(this.instances).map(([name, instance]) => {
+      const { metric = {}, created } = this.configs[name];
+      return {
+        name: metric.name ?? name,
+        help: metric.help,
+        type: metric.type,
+        labels: metric.labels,
+        value: instance.value,
+        created,
+      };
+    });
+    return renderMetrics(samples, format);
+  }
+
+  /**
+   * A request handler for `http.createServer()` or Express that serves
+   * metrics(), in OpenMetrics if the scraper's Accept header asks for it.
+   *
+   *   app.get("/metrics", counter.metricsHandler());
+   */
+  metricsHandler() {
+    return (req, res) => {
+      const format = negotiateFormat(req.headers?.accept);
+      let body;
+      try {
+        body = this.metrics({ format });
+      } catch (err) {
+        this.logger.error("Error rendering metrics:", err);
+        res.statusCode = 500;
+        res.end();
+        return;
+      }
+      res.writeHead(200, { "Content-Type": CONTENT_TYPES[format] });
+      res.end(body);
+    };
+  }
+
+  /**
+   * Write a consistent snapshot of every counter, family and shared store
+   * into `dir`, while they keep running. Each one is flushed and its
+   * SQLite database copied with the online backup API, so the copy holds
+   * a value and the log position it covers, committed together: it needs
+   * no log. Counters on other storage get a `name.json` snapshot.
+   *
+   * To restore, put the files back in place and delete the matching
+   * `.log` files before starting the app.
+   * @param {string} dir - Created if needed.
+   * @returns {Promise<{version: number, created: string, files: string[]}>}
+   *   Also written to `manifest.json` in `dir`.
+   */
+  async backup(dir) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const files = [];
+
+    const copyDb = async (db, file) => {
+      await backupSqlite(db, path.join(dir, file));
+      files.push(file);
+    };
+
+    // Shared counters are copied together, as of one flush
+    if (this.store) {
+      await this.store.flush();
+      await copyDb(this.store.db, path.basename(this.store.dbPath));
+    }
+
+    for (const [name, { store }] of Object.entries(this.families)) {
+      if (store) {
+        await store.flush();
+        await copyDb(store.db, `${name}.db`);
+      }
+    }
+
+    for (const [name, instance] of Object.entries(this.instances)) {
+      if (instance.store || !instance.ready) continue;
+
+      await instance.flush();
+      if (instance.db) {
+        await copyDb(instance.db, `${name}.db`);
+      } else {
+        const saved = await instance.storage.load();
+        const copy = new JsonFileStorage({ path: path.join(dir, `${name}.json`), durability: "fsync" });
+        await copy.save(saved?.snapshot ?? null, saved?.seq ?? 0);
+        files.push(`${name}.json`);
+      }
+    }
+
+    const manifest = { version: 1, created: new Date().toISOString(), files };
+    await fs.promises.writeFile(
+      path.join(dir, "manifest.json"),
+      `${JSON.stringify(manifest, null, 2)}\n`
+    );
+    return manifest;
+  }
+
+  /**
+   * Every counter set up with setup(): its current value and the
+   * arguments to recreate it (jump, flushEvery, mode, numberType, scale).
+   * Windowed counters and families are not included; use backup().
+   * @param {object} [options]
+   * @param {string} [options.format="json"] - "json" or "csv".
+   * @returns {string}
+   */
+  export({ format = "json" } = {}) {
+    const rows = [];
+    for (const [name, instance] of Object.entries(this.instances)) {
+      const { jump, flushEvery, mode, window } = this.configs[name];
+      if (window) continue; // The value is derived from buckets
+
+      rows.push({
+        name,
+        value: instance.value,
+        jump,
+        flushEvery,
+        mode,
+        numberType: instance.numbers.name,
+        scale: instance.numbers.scale,
+      });
+    }
+    return renderCounters(rows, format);
+  }
+
+  /**
+   * Set up the counters in export() output and set them to its values.
+   * Counters that are already set up keep their configuration and only
+   * take the value.
+   * @param {string} data - export() output.
+   * @param {object} [options]
+   * @param {string} [options.format="json"] - "json" or "csv".
+   * @returns {Promise<string[]>} Names of the imported counters.
+   */
+  async import(data, { format = "json" } = {}) {
+    const rows = parseCounters(data, format);
+    for (const { name, value, jump, flushEvery, mode, numberType, scale } of rows) {
+      const fn = await this.setup(name, 0, jump, flushEvery, mode, { numberType, scale });
+      await fn.reset(value);
+    }
+    return rows.map(({ name }) => name);
+  }
+
+  /**
+   * A family of counters addressed by key, e.g. one quota per customer:
+   *
+   *   const quota = await counter.family("quota", { maxKeys: 10000 });
+   *   await quota.incr("customer-42");
+   *   await quota.get("customer-42");
+   *   await quota.entries(); // [["customer-42", 1], ...]
+   *
+   * Keys are rows named `name:key` in the shared store if one is in use,
+   * otherwise in the family's own `name.db`/`name.log`. They are loaded on
+   * first use and the least recently used are flushed and evicted beyond
+   * `maxKeys`.
+   * @param {string} name - Unique name for the family.
+   * @param {object} [options]
+   * @param {number} [options.maxKeys=1000] - Keys kept in memory at once.
+   * @param {number} [options.jump=1] - Default delta for incr().
+   * @param {number} [options.flushEvery=100] - Ops per key before flush to SQLite.
+   * @param {string} [options.mode] - "sync" or "async"; the manager's
+   *   default if omitted.
+   * @param {number} [options.lockTimeout=0] - ms to wait for another owner
+   *   of the family's own files.
+   * @param {string} [options.durability] - See setup().
+   * @param {number} [options.min] - Lowest value any key may reach.
+   * @param {number} [options.max] - Highest value any key may reach.
+   * @param {string} [options.onBound="reject"] - See setup().
+   * @returns {Promise<CounterFamily>}
+   */
+  async family(name, options = {}) {
+    if (Object.hasOwn(this.families, name)) return this.families[name].family;
+    return this._setupOnce("family", name, () => this._family(name, options));
+  }
+
+  async _family(name, options) {
+    const { lockTimeout = 0, ...familyOptions } = options;
+
+    let ownStore = null;
+    if (!this.sharedStoreOptions) {
+      await this._ensureDataDir();
+      ownStore = new SharedStore({
+        dbPath: this._path(`${name}.db`),
+        logPath: this._path(`${name}.log`),
+        lockTimeout,
+        logger: this.logger,
+        ...(familyOptions.durability && { durability: familyOptions.durability }),
+      });
+      await ownStore.init();
+    }
+
+    const family = new CounterFamily(name, {
+      logger: this.logger,
+      mode: this.defaults.mode,
+      ...familyOptions,
+      store: ownStore ?? (await this._getStore()),
+    });
+    this.families[name] = { family, store: ownStore };
+    return family;
+  }
+
+  /**
+   * Change several counters atomically.
+   *
+   *   await counter.transaction(async (tx) => {
+   *     tx.credits(-5);
+   *     tx.reserved(5);
+   *   });
+   *
+   * `tx[name](delta = jump)` queues a delta. Once the callback returns, all
+   * deltas are written as one log record and only then applied to memory.
+   * If the callback throws, nothing is applied. Requires the shared store,
+   * since only a single log can make the write atomic.
+   * @param {(tx: object) => any} fn
+   * @returns {Promise<any>} Whatever the callback returned.
+   */
+  async transaction(fn) {
+    if (!this.store) {
+      throw new Error("transaction() requires the shared store (useSharedStore())");
+    }
+
+    const deltas = [];
+    const tx = {};
+    for (const [name, instance] of Object.entries(this.instances)) {
+      if (instance.store !== this.store) continue;
+      const { jump } = this.configs[name];
+      tx[name] = (delta = jump) => {
+        deltas.push([name, delta]);
+      };
+    }
+
+    const result = await fn(tx);
+
+    if (deltas.length > 0) {
+      await this.store.commit(deltas);
+    }
+    return result;
+  }
+
   async flushAll() {
     const flushPromises = [];
+
+    // Shared counters are written together in one transaction
+    if (this.store) {
+      flushPromises.push(this.store.flush().catch(err => {
+        this.logger.error("Error flushing shared store:", err.message);
+      }));
+    }
+
     for (const [name, instance] of Object.entries(this.instances)) {
-      if (instance && instance.db && instance.db.open) {
+      if (instance && !instance.store && instance.ready) {
         flushPromises.push(instance.flush().catch(err => {
-          console.error(`Error flushing ${name}:`, err.message);
+          this.logger.error(`Error flushing ${name}:`, err.message);
+        }));
+      }
+    }
+
+    for (const [name, { store }] of Object.entries(this.families)) {
+      if (store) {
+        flushPromises.push(store.flush().catch(err => {
+          this.logger.error(`Error flushing ${name}:`, err.message);
         }));
       }
     }
     await Promise.all(flushPromises);
   }
 
+  /**
+   * Flush and close every counter when the process is asked to stop, so
+   * async mode doesn't lose its last writes: on each of `signals`, on
+   * `beforeExit` and on an uncaught exception. Whichever comes first
+   * closes everything, once; later ones wait for it.
+   * @param {object} [options]
+   * @param {string[]} [options.signals=["SIGINT", "SIGTERM"]]
+   * @param {number} [options.timeoutMs=5000] - Stop waiting for closeAll()
+   *   after this long, and exit with code 1.
+   * @param {boolean|Function} [options.exit=true] - Exit after a signal or
+   *   an uncaught exception (code 0, or 1 on an exception, error or
+   *   timeout). A function is called with the code instead; `false` leaves
+   *   the process running.
+   * @returns {() => void} Removes the hooks again, as does
+   *   removeShutdownHooks(). Installing again replaces them.
+   */
+  installShutdownHooks({ signals = ["SIGINT", "SIGTERM"], timeoutMs = 5000, exit = true } = {}) {
+    this.removeShutdownHooks();
+
+    let exited = false;
+    const finish = (code) => {
+      if (exited) return;
+      exited = true;
+      if (typeof exit === "function") exit(code);
+      else if (exit) process.exit(code);
+    };
+
+    const hooks = [];
+    const listen = (event, listener) => {
+      process.on(event, listener);
+      hooks.push([event, listener]);
+    };
+
+    for (const signal of signals) {
+      listen(signal, () => this._shutdown(timeoutMs).then((ok) => finish(ok ? 0 : 1)));
+    }
+    listen("beforeExit", () => this._shutdown(timeoutMs));
+    listen("uncaughtException", (err) => {
+      this.logger.error("Uncaught exception, closing counters:", err);
+      return this._shutdown(timeoutMs).then(() => finish(1));
+    });
+
+    this.shutdownHooks = hooks;
+    return () => {
+      if (this.shutdownHooks === hooks) this.removeShutdownHooks();
+    };
+  }
+
+  removeShutdownHooks() {
+    for (const [event, listener] of this.shutdownHooks ?? []) {
+      process.off(event, listener);
+    }
+    this.shutdownHooks = null;
+    this.shuttingDown = null;
+  }
+
+  // closeAll() with a deadline; resolves with whether it finished in time
+  _shutdown(timeoutMs) {
+    if (!this.shuttingDown) {
+      let timer;
+      const deadline = new Promise((resolve) => {
+        timer = setTimeout(() => {
+          this.logger.error(`Closing counters took longer than ${timeoutMs}ms; giving up`);
+          resolve(false);
+        }, timeoutMs);
+        timer.unref();
+      });
+      const closed = this.closeAll().then(
+        () => true,
+        (err) => {
+          this.logger.error("Error closing counters:", err);
+          return false;
+        }
+      );
+      this.shuttingDown = Promise.race([closed, deadline]).finally(() => clearTimeout(timer));
+    }
+    return this.shuttingDown;
+  }
+
   async closeAll() {
     const closePromises = [];
+
+    // Families first: their keys may live in the shared store
+    for (const [name, { family, store }] of Object.entries(this.families)) {
+      closePromises.push(
+        family
+          .close()
+          .then(() => store?.close())
+          .catch(err => {
+            this.logger.error(`Error closing ${name}:`, err.message);
+          })
+      );
+    }
     for (const [name, instance] of Object.entries(this.instances)) {
-      if (instance && instance.db && instance.db.open) {
+      if (instance && instance.ready) {
         closePromises.push(instance.close().catch(err => {
-          console.error(`Error closing ${name}:`, err.message);
+          this.logger.error(`Error closing ${name}:`, err.message);
         }));
       }
     }
     await Promise.all(closePromises);
+
+    if (this.store) {
+      await this.store.close().catch(err => {
+        this.logger.error("Error closing shared store:", err.message);
+      });
+      this.store = null;
+      this.storeReady = null;
+    }
     
     // Clear registries
+    for (const name of Object.keys(this.registry)) delete this[name];
     this.registry = {};
     this.instances = {};
+    this.configs = {};
+    this.families = {};
   }
 }
 
+export { CounterManager, CounterLockedError, CounterBoundError, CounterBufferFullError };
+export { createServer } from "./server.js";
+export { serveWorkers, connectToPrimary } from "./cluster.js";
 export default new CounterManager();
\ No newline at end of file
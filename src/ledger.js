@@ -0,0 +1,104 @@
+const DEFAULT_PAGE = 100;
+const MAX_PAGE = 10000;
+
+/**
+ * Every operation on a counter, with its time and metadata, in an
+ * append-only `counter_ledger` table. Rows are only ever inserted: flush()
+ * cuts the log, never the ledger.
+ *
+ * Entries are written in the same transaction as the counter's snapshot,
+ * so the ledger always adds up to exactly the records the snapshot covers.
+ */
+export default class Ledger {
+  constructor(db, { numbers }) {
+    this.db = db;
+    this.numbers = numbers;
+  }
+
+  async init() {
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS counter_ledger (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ts INTEGER NOT NULL,
+        delta NOT NULL,
+        reason TEXT,
+        actor TEXT,
+        ref TEXT
+      );
+      CREATE INDEX IF NOT EXISTS counter_ledger_ts ON counter_ledger (ts);
+      CREATE INDEX IF NOT EXISTS counter_ledger_actor ON counter_ledger (actor, ts);
+    `);
+  }
+
+  async isEmpty() {
+    const row = await this.db.get("SELECT 1 AS found FROM counter_ledger LIMIT 1");
+    return !row;
+  }
+
+  /**
+   * Runs inside the caller's transaction, which also saves the snapshot.
+   * @param {{delta: any, ts: number, reason?: string, actor?: string,
+   *   ref?: string}[]} entries
+   */
+  async insert(entries) {
+    for (const { delta, ts, reason, actor, ref } of entries) {
+      await this.db.run(
+        "INSERT INTO counter_ledger (ts, delta, reason, actor, ref) VALUES (?, ?, ?, ?, ?)",
+        ts,
+        this.numbers.toStorage(delta),
+        reason ?? null,
+        actor ?? null,
+        ref ?? null
+      );
+    }
+  }
+
+  /**
+   * One page of entries, oldest first.
+   * @param {object} [options]
+   * @param {number} [options.from] - Earliest `ts`, in ms.
+   * @param {number} [options.to] - Latest `ts`, in ms.
+   * @param {string} [options.actor] - Only this actor's entries.
+   * @param {number} [options.limit=100] - Entries per page.
+   * @param {number} [options.after] - The previous page's `next`.
+   * @returns {Promise<{entries: {id: number, ts: number, delta: any,
+   *   reason: string|null, actor: string|null, ref: string|null}[],
+   *   next: number|null}>} `next` is null on the last page.
+   */
+  async query({ from = 0, to = Number.MAX_SAFE_INTEGER, actor, limit = DEFAULT_PAGE, after = 0 } = {}) {
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE) {
+      throw new Error(`limit must be an integer from 1 to ${MAX_PAGE}`);
+    }
+
+    const rows = await this.db.all(
+      `SELECT id, ts, delta, reason, actor, ref FROM counter_ledger
+       WHERE id > ? AND ts >= ? AND ts <= ?
+       ${actor === undefined ? "" : "AND actor = ?"}
+       ORDER BY id LIMIT ?`,
+      after,
+      from,
+      to,
+      ...(actor === undefined ? [] : [actor]),
+      limit
+    );
+
+    const entries = rows.map((row) => ({ ...row, delta: this.numbers.fromStorage(row.delta) }));
+    return {
+      entries,
+      next: entries.length === limit ? entries[entries.length - 1].id : null,
+    };
+  }
+
+  /**
+   * The sum of every delta in the ledger, added up exactly in the
+   * counter's number type.
+   */
+  async balance() {
+    const rows = await this.db.all("SELECT delta FROM counter_ledger ORDER BY id");
+    let total = this.numbers.zero;
+    for (const { delta } of rows) {
+      total = this.numbers.add(total, this.numbers.fromStorage(delta));
+    }
+    return total;
+  }
+}
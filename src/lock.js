@@ -0,0 +1,148 @@
+import fs from "fs";
+import path from "path";
+import { CounterLockedError } from "./errors.js";
+
+/**
+ * Exclusive ownership lock backed by a lockfile holding the owner's PID.
+ * A lock whose PID no longer exists is considered stale and taken over.
+ * Takeovers of one stale lock are serialized by a marker file next to it
+ * (`<lock>.<stale pid>.takeover`), so two processes can't both remove it.
+ */
+
+// Lockfiles this process holds, by resolved path. One with our PID that
+// isn't in here was left by an earlier process that had the same PID,
+// e.g. node running as PID 1 in a restarted container.
+const HELD = new Set();
+
+export default class FileLock {
+  constructor(lockPath) {
+    this.lockPath = lockPath;
+    this.key = path.resolve(lockPath);
+    this.held = false;
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {number} [options.timeout=0] - How long to wait for the owner to
+   *   let go, in ms. 0 fails immediately.
+   * @param {number} [options.retryInterval=50] - Polling interval in ms.
+   */
+  async acquire({ timeout = 0, retryInterval = 50 } = {}) {
+    const deadline = Date.now() + timeout;
+
+    for (;;) {
+      const owner = this._tryAcquire();
+      if (owner === null) return;
+
+      if (Date.now() >= deadline) {
+        throw new CounterLockedError(this.lockPath, owner);
+      }
+      await new Promise((resolve) => setTimeout(resolve, retryInterval));
+    }
+  }
+
+  // Returns null on success, otherwise the PID holding the lock
+  _tryAcquire() {
+    // Write the PID to a private file and hard-link it into place, so the
+    // lockfile never exists without its contents
+    const tmpPath = `${this.lockPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, `${process.pid}\n`);
+
+    try {
+      for (;;) {
+        try {
+          fs.linkSync(tmpPath, this.lockPath);
+          this.held = true;
+          HELD.add(this.key);
+          return null;
+        } catch (err) {
+          if (err.code !== "EEXIST") throw err;
+        }
+
+        const content = readLock(this.lockPath);
+        if (content === null) continue; // Released meanwhile, try again
+
+        const pid = parseInt(content, 10);
+        if (pid === process.pid ? HELD.has(this.key) : isAlive(pid)) return pid;
+
+        const taker = this._removeStale(content, tmpPath);
+        if (taker !== null) return taker;
+      }
+    } finally {
+      removeFile(tmpPath);
+    }
+  }
+
+  // Removes the lockfile if it still holds the stale `content`. Returns
+  // null, or the PID of another process taking it over right now.
+  _removeStale(content, tmpPath) {
+    const markerPath = `${this.lockPath}.${parseInt(content, 10)}.takeover`;
+    try {
+      fs.linkSync(tmpPath, markerPath); // With our PID, like the lock
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+
+      const marker = readLock(markerPath);
+      if (marker === null) return null; // Done meanwhile, try again
+      // Markers never outlive the call that made them, so one with our
+      // PID is stale too
+      const taker = parseInt(marker, 10);
+      if (taker !== process.pid && isAlive(taker)) return taker;
+
+      // Left behind by a process that died mid-takeover
+      removeFile(markerPath);
+      return null;
+    }
+
+    try {
+      // Only the marker's holder removes this stale lock, and nobody else
+      // can replace it without removing it first: the check can't go stale
+      if (readLock(this.lockPath) === content) {
+        removeFile(this.lockPath);
+      }
+    } finally {
+      removeFile(markerPath);
+    }
+    return null;
+  }
+
+  release() {
+    if (!this.held) return;
+    this.held = false;
+    HELD.delete(this.key);
+
+    // Only remove the lockfile if it is still ours
+    if (parseInt(readLock(this.lockPath), 10) === process.pid) {
+      removeFile(this.lockPath);
+    }
+  }
+}
+
+function readLock(lockPath) {
+  try {
+    return fs.readFileSync(lockPath, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+function removeFile(filePath) {
+  try {
+    fs.unlinkSync(filePath);
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+}
+
+function isAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: the process exists but belongs to someone else
+    return err.code === "EPERM";
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * Prometheus text exposition (0.0.4) and OpenMetrics (1.0.0) rendering.
+ *
+ * Samples with the same metric name are grouped into one family, so
+ * several counters can share a name and differ only in their labels.
+ */
+
+export const CONTENT_TYPES = {
+  prometheus: "text/plain; version=0.0.4; charset=utf-8",
+  openmetrics: "application/openmetrics-text; version=1.0.0; charset=utf-8",
+};
+
+const METRIC_TYPES = ["counter", "gauge"];
+
+/**
+ * @param {{name: string, value: number, help?: string, type?: string,
+ *   labels?: object, created?: number}[]} samples - `created` is in ms.
+ * @param {string} [format="prometheus"] - "prometheus" or "openmetrics".
+ * @returns {string}
+ */
+export function renderMetrics(samples, format = "prometheus") {
+  if (!CONTENT_TYPES[format]) {
+    throw new Error('format must be "prometheus" or "openmetrics"');
+  }
+
+  const families = new Map();
+  for (const sample of samples) {
+    const type = sample.type ?? "counter";
+    if (!METRIC_TYPES.includes(type)) {
+      throw new Error('Metric type must be "counter" or "gauge"');
+    }
+
+    const name = familyName(sample.name, type);
+    if (!families.has(name)) {
+      families.set(name, { name, type, help: sample.help, samples: [] });
+    }
+    families.get(name).samples.push(sample);
+  }
+
+  const lines = [];
+  for (const family of families.values()) {
+    if (format === "openmetrics") {
+      renderOpenMetrics(family, lines);
+    } else {
+      renderPrometheus(family, lines);
+    }
+  }
+  if (format === "openmetrics") lines.push("# EOF");
+
+  return lines.length ? `${lines.join("\n")}\n` : "";
+}
+
+/**
+ * Prefer OpenMetrics when the scraper asks for it, as Prometheus does.
+ */
+export function negotiateFormat(accept = "") {
+  return accept.includes("application/openmetrics-text") ? "openmetrics" : "prometheus";
+}
+
+// ---------- Formats ----------
+
+function renderPrometheus({ name, type, help, samples }, lines) {
+  const sampleName = type === "counter" ? `${name}_total` : name;
+  header(lines, sampleName, type, help);
+  for (const { labels, value } of samples) {
+    lines.push(`${sampleName}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+
+  // Like the official clients, expose creation times as a separate gauge
+  const created = samples.filter((s) => s.created !== undefined);
+  if (type === "counter" && created.length) {
+    header(lines, `${name}_created`, "gauge", help);
+    for (const { labels, created: ms } of created) {
+      lines.push(`${name}_created${formatLabels(labels)} ${ms / 1000}`);
+    }
+  }
+}
+
+function renderOpenMetrics({ name, type, help, samples }, lines) {
+  header(lines, name, type, help);
+  for (const { labels, value, created } of samples) {
+    const suffix = type === "counter" ? "_total" : "";
+    lines.push(`${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+    if (type === "counter" && created !== undefined) {
+      lines.push(`${name}_created${formatLabels(labels)} ${created / 1000}`);
+    }
+  }
+}
+
+function header(lines, name, type, help) {
+  if (help) lines.push(`# HELP ${name} ${escapeHelp(help)}`);
+  lines.push(`# TYPE ${name} ${type}`);
+}
+
+// ---------- Names & Values ----------
+
+// Counter families are named without the _total suffix their samples get
+function familyName(name, type) {
+  let safe = `${name}`.replace(/[^a-zA-Z0-9_:]/g, "_");
+  if (/^[0-9]/.test(safe)) safe = `_${safe}`;
+  if (type === "counter" && safe.endsWith("_total")) {
+    safe = safe.slice(0, -"_total".length);
+  }
+  return safe;
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels ?? {});
+  if (pairs.length === 0) return "";
+
+  const body = pairs
+    .map(([key, value]) => {
+      const safeKey = key.replace(/[^a-zA-Z0-9_]/g, "_").replace(/^([0-9])/, "_$1");
+      return `${safeKey}="${escapeLabel(`${value}`)}"`;
+    })
+    .join(",");
+  return `{${body}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return `${value}`;
+}
+
+function escapeHelp(text) {
+  return text.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+}
+
+function escapeLabel(text) {
+  return escapeHelp(text).replace(/"/g, '\\"');
+}
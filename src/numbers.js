@@ -0,0 +1,217 @@
+/**
+ * Number types for counter values:
+ *
+ *   "integer" - JS numbers (the default). Deltas must be safe integers,
+ *               and values may not grow past Number.MAX_SAFE_INTEGER.
+ *   "bigint"  - BigInts of any size. Deltas may be bigints or safe
+ *               integers; values are always bigints.
+ *   "decimal" - Exact decimals with `scale` fractional digits, as strings
+ *               such as "12.50". Deltas may be strings, numbers or bigints
+ *               with at most `scale` fractional digits.
+ *
+ * Every value converts to a string and back without loss. That string is
+ * what goes to the log, and to storage for "bigint" and "decimal".
+ */
+export const NUMBER_TYPES = ["integer", "bigint", "decimal"];
+
+/**
+ * @param {string} [type="integer"] - One of NUMBER_TYPES.
+ * @param {object} [options]
+ * @param {number} [options.scale=2] - Fractional digits ("decimal" only).
+ */
+export function createNumberType(type = "integer", { scale = 2 } = {}) {
+  switch (type) {
+    case "integer":
+      return INTEGER;
+    case "bigint":
+      return BIGINT;
+    case "decimal":
+      if (!Number.isInteger(scale) || scale < 0 || scale > 20) {
+        throw new Error("scale must be an integer from 0 to 20");
+      }
+      return decimal(scale);
+    default:
+      throw new Error(
+        `numberType must be one of ${NUMBER_TYPES.map((t) => `"${t}"`).join(", ")}`
+      );
+  }
+}
+
+// Bounds are ±Infinity when unset, whatever the type of the values
+function compareWith(a, b, toComparable) {
+  if (typeof a === "number" && !Number.isFinite(a)) return a < 0 ? -1 : 1;
+  if (typeof b === "number" && !Number.isFinite(b)) return b < 0 ? 1 : -1;
+  const x = toComparable(a);
+  const y = toComparable(b);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function floorDivBig(a, b) {
+  const q = a / b;
+  return a % b !== 0n && a < 0n !== b < 0n ? q - 1n : q;
+}
+
+// ---------- integer ----------
+
+const INTEGER = {
+  name: "integer",
+  zero: 0,
+
+  from(input) {
+    if (!Number.isSafeInteger(input)) {
+      throw new TypeError(`Expected a safe integer, got ${describe(input)}`);
+    }
+    return input;
+  },
+
+  add(a, b) {
+    const sum = a + b;
+    if (Math.abs(sum) > Number.MAX_SAFE_INTEGER) {
+      throw new RangeError(
+        `${a} + ${b} is beyond Number.MAX_SAFE_INTEGER; use numberType "bigint"`
+      );
+    }
+    return sum;
+  },
+
+  sub(a, b) {
+    return INTEGER.add(a, -b);
+  },
+
+  compare(a, b) {
+    return compareWith(a, b, (x) => x);
+  },
+
+  floorDiv(a, n) {
+    return Math.floor(a / n);
+  },
+
+  encode(value) {
+    return `${value}`;
+  },
+
+  // Lenient, so logs written before deltas were validated still replay
+  decode(text) {
+    const value = Number(text);
+    return text.trim() !== "" && Number.isFinite(value) ? value : null;
+  },
+
+  toStorage(value) {
+    return value;
+  },
+
+  fromStorage(stored) {
+    return stored == null ? 0 : Number(stored);
+  },
+};
+
+// ---------- bigint ----------
+
+const BIGINT = {
+  name: "bigint",
+  zero: 0n,
+
+  from(input) {
+    if (typeof input === "bigint") return input;
+    if (Number.isSafeInteger(input)) return BigInt(input);
+    throw new TypeError(`Expected a bigint or safe integer, got ${describe(input)}`);
+  },
+
+  add: (a, b) => a + b,
+  sub: (a, b) => a - b,
+
+  compare(a, b) {
+    return compareWith(a, b, (x) => x);
+  },
+
+  floorDiv: floorDivBig,
+
+  encode(value) {
+    return `${value}`;
+  },
+
+  decode(text) {
+    return /^-?\d+$/.test(text) ? BigInt(text) : null;
+  },
+
+  toStorage(value) {
+    return `${value}`;
+  },
+
+  fromStorage(stored) {
+    return stored == null ? 0n : BigInt(stored);
+  },
+};
+
+// ---------- decimal ----------
+
+// Values are strings; arithmetic happens on BigInt multiples of 10^-scale
+function decimal(scale) {
+  const unit = 10n ** BigInt(scale);
+  const pattern = /^(-?)(\d+)(?:\.(\d+))?$/;
+
+  const parse = (text) => {
+    const match = pattern.exec(text);
+    if (!match || (match[3] ?? "").length > scale) return null;
+    const [, sign, whole, fraction = ""] = match;
+    const units = BigInt(whole) * unit + BigInt(fraction.padEnd(scale, "0") || "0");
+    return sign ? -units : units;
+  };
+
+  const format = (units) => {
+    const sign = units < 0n ? "-" : "";
+    const abs = units < 0n ? -units : units;
+    if (scale === 0) return `${sign}${abs}`;
+    const digits = `${abs}`.padStart(scale + 1, "0");
+    return `${sign}${digits.slice(0, -scale)}.${digits.slice(-scale)}`;
+  };
+
+  const type = {
+    name: "decimal",
+    scale,
+    zero: format(0n),
+
+    from(input) {
+      let units = null;
+      if (typeof input === "bigint") units = input * unit;
+      else if (typeof input === "string") units = parse(input.trim());
+      else if (Number.isFinite(input)) units = parse(`${input}`);
+
+      if (units === null) {
+        throw new TypeError(
+          `Expected a decimal with at most ${scale} fractional digits, got ${describe(input)}`
+        );
+      }
+      return format(units);
+    },
+
+    add: (a, b) => format(parse(a) + parse(b)),
+    sub: (a, b) => format(parse(a) - parse(b)),
+
+    compare(a, b) {
+      return compareWith(a, b, parse);
+    },
+
+    floorDiv(a, n) {
+      return floorDivBig(parse(a), parse(n));
+    },
+
+    encode: (value) => value,
+
+    decode(text) {
+      const units = parse(text);
+      return units === null ? null : format(units);
+    },
+
+    toStorage: (value) => value,
+
+    fromStorage(stored) {
+      return stored == null ? type.zero : type.from(stored);
+    },
+  };
+  return type;
+}
+
+function describe(input) {
+  return typeof input === "string" ? JSON.stringify(input) : `${typeof input} ${String(input)}`;
+}
@@ -0,0 +1,219 @@
+import http from "http";
+import { timingSafeEqual } from "crypto";
+import {
+  CounterBoundError,
+  CounterBufferFullError,
+} from "./errors.js";
+
+/**
+ * A local REST API over a CounterManager, so that other processes can
+ * read and change counters through the one process that owns their files:
+ *
+ *   GET  /counters                  Every counter: { counters: [{ name, value }] }
+ *   GET  /counters/:name            { name, value }
+ *   POST /counters/:name/increment  Body { delta, idempotencyKey, reason, actor, ref },
+ *                                   all optional; responds once the delta is durable
+ *   POST /counters/:name/reset      Body { value }, 0 if omitted
+ *   POST /flush                     Flush every counter to storage
+ *
+ * Bodies and responses are JSON. BigInt values are sent as strings, and
+ * bigint and decimal counters take their deltas as strings too. Errors
+ * are `{ error: { code, message } }` with a matching status.
+ */
+
+const MAX_BODY = 64 * 1024;
+
+class HttpError extends Error {
+  constructor(status, code, message, headers = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Start serving `manager` on a TCP port or a Unix socket.
+ * @param {object} manager - A CounterManager, e.g. the default export.
+ * @param {object} [options]
+ * @param {number} [options.port=0] - TCP port; 0 picks a free one.
+ * @param {string} [options.host="127.0.0.1"] - Interface to listen on.
+ * @param {string} [options.socket] - Unix socket path, instead of a port.
+ * @param {string} [options.token] - Require `Authorization: Bearer <token>`.
+ * @param {{error: Function}} [options.logger] - Defaults to the manager's.
+ * @returns {Promise<http.Server>} Once it is listening.
+ */
+export async function createServer(manager, { port = 0, host = "127.0.0.1", socket, token, logger = manager.logger } = {}) {
+  if (token !== undefined && (typeof token !== "string" || token === "")) {
+    throw new Error("token must be a non-empty string");
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(manager, req, token)
+      .then((body) => send(res, 200, body))
+      .catch((err) => {
+        const { status, code, message, headers } = err instanceof HttpError ? err : toHttpError(err);
+        if (status === 500) logger.error("Error serving counter request:", err);
+        send(res, status, { error: { code, message } }, headers);
+      });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    const ready = () => {
+      server.off("error", reject);
+      resolve();
+    };
+    if (socket) server.listen(socket, ready);
+    else server.listen(port, host, ready);
+  });
+  return server;
+}
+
+// ---------- Routes ----------
+
+async function handle(manager, req, token) {
+  if (token !== undefined) authorize(req.headers.authorization, token);
+
+  const { pathname } = new URL(req.url, "http://localhost");
+  const segments = pathname.split("/").filter(Boolean);
+  let names;
+  try {
+    names = segments.map(decodeURIComponent);
+  } catch {
+    throw new HttpError(400, "bad_request", "Malformed URL");
+  }
+
+  const [root, name, action] = names;
+  if (root === "flush" && names.length === 1) {
+    allow(req, "POST");
+    await manager.flushAll();
+    return { ok: true };
+  }
+
+  if (root !== "counters" || names.length > 3) {
+    throw new HttpError(404, "not_found", `No route for ${pathname}`);
+  }
+
+  if (names.length === 1) {
+    allow(req, "GET");
+    return {
+      counters: manager.list().map((n) => ({ name: n, value: toJSON(manager.registry[n].value) })),
+    };
+  }
+
+  // Own keys only: "toString" or "__proto__" are not counters
+  if (!Object.hasOwn(manager.registry, name)) {
+    throw new HttpError(404, "not_found", `No counter "${name}"`);
+  }
+  const fn = manager.registry[name];
+  const instance = manager.instances[name];
+
+  if (action === undefined) {
+    allow(req, "GET");
+    return { name, value: toJSON(fn.value) };
+  }
+
+  if (action === "increment") {
+    allow(req, "POST");
+    const { delta = manager.configs[name].jump, idempotencyKey, reason, actor, ref } = await readBody(req);
+    const meta = [idempotencyKey, reason, actor, ref].some((v) => v !== undefined)
+      ? { idempotencyKey, reason, actor, ref }
+      : undefined;
+    const parsed = input(() => instance.numbers.from(revive(delta, instance.numbers)));
+    input(() => instance._meta(meta));
+    const value = await instance.incrementDurable(parsed, meta);
+    return { name, value: toJSON(value) };
+  }
+
+  if (action === "reset") {
+    allow(req, "POST");
+    const { value = 0 } = await readBody(req);
+    await fn.reset(input(() => instance.numbers.from(revive(value, instance.numbers))));
+    return { name, value: toJSON(fn.value) };
+  }
+
+  throw new HttpError(404, "not_found", `No route for ${pathname}`);
+}
+
+function allow(req, method) {
+  if (req.method !== method) {
+    throw new HttpError(405, "method_not_allowed", `Use ${method} for this route`, { Allow: method });
+  }
+}
+
+// Constant-time, so the token can't be guessed byte by byte
+function authorize(header, token) {
+  const [scheme, given = ""] = (header ?? "").split(" ");
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(given);
+  if (scheme !== "Bearer" || actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    throw new HttpError(401, "unauthorized", "Missing or invalid bearer token", {
+      "WWW-Authenticate": "Bearer",
+    });
+  }
+}
+
+// ---------- Helpers ----------
+
+async function readBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY) {
+      throw new HttpError(413, "payload_too_large", `Bodies are limited to ${MAX_BODY} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString("utf8").trim();
+  if (text === "") return {};
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    throw new HttpError(400, "bad_request", "Body is not valid JSON");
+  }
+  if (body === null || typeof body !== "object" || Array.isArray(body)) {
+    throw new HttpError(400, "bad_request", "Body must be a JSON object");
+  }
+  return body;
+}
+
+// Runs the counter's own checks on request input, so that what they
+// reject is a 400 and a TypeError from anywhere else stays a 500
+function input(check) {
+  try {
+    return check();
+  } catch (err) {
+    throw new HttpError(400, "bad_request", err.message);
+  }
+}
+
+// Counter errors keep their meaning; anything else is on our side
+function toHttpError(err) {
+  if (err instanceof CounterBoundError) {
+    return new HttpError(409, "out_of_bounds", err.message);
+  }
+  if (err instanceof CounterBufferFullError) {
+    return new HttpError(503, "buffer_full", err.message);
+  }
+  return new HttpError(500, "internal_error", "Internal server error");
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", ...headers });
+  res.end(`${JSON.stringify(body)}\n`);
+}
+
+// JSON has no BigInt
+function revive(value, numbers) {
+  return numbers.name === "bigint" && typeof value === "string" && /^-?\d+$/.test(value)
+    ? BigInt(value)
+    : value;
+}
+
+function toJSON(value) {
+  return typeof value === "bigint" ? `${value}` : value;
+}
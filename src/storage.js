@@ -0,0 +1,189 @@
+import { promises as fsPromises } from "fs";
+import { applyDurability, isFsynced } from "./durability.js";
+
+/**
+ * Snapshot storage adapters.
+ *
+ * A counter keeps its recent changes in an append log (see FileLog and
+ * MemoryLog in wal.js) and periodically writes a snapshot of its state
+ * here. A snapshot adapter implements:
+ *
+ *   lockPath          - File to lock for exclusive ownership, or null.
+ *   async open()
+ *   async load()      - { snapshot, seq } as last saved, or null if nothing
+ *                       was saved yet. `seq` is the sequence number of the
+ *                       last log record the snapshot includes.
+ *   async save(snapshot, seq)
+ *                     - Store both atomically: after a crash, load()
+ *                       returns either the old pair or the new one.
+ *   async close()
+ *
+ * `snapshot` is whatever the counter's _snapshot() returns (a number for
+ * plain counters, a string for "bigint" and "decimal" ones, see
+ * numbers.js) and must survive a JSON round trip. Recovery is the same
+ * with every adapter: load the snapshot, replay the log records after its
+ * `seq`, save, clear the log.
+ */
+
+/**
+ * The default: a `counter_state` row in a SQLite database, with SQLite's
+ * pragmas set to match the counter's durability. `db` is the open
+ * database, for features that query it directly (history).
+ */
+export class SqliteStorage {
+  constructor({ dbPath = "counter.db", durability = "write" } = {}) {
+    this.dbPath = dbPath;
+    this.durability = durability;
+    this.lockPath = `${dbPath}.lock`;
+    this.db = null;
+  }
+
+  async open() {
+    this.db = await openSqlite(this.dbPath);
+    await applyDurability(this.db, this.durability);
+
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS counter_state (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        value INTEGER NOT NULL,
+        last_seq INTEGER NOT NULL DEFAULT 0
+      )
+    `);
+
+    // Databases created before sequence numbers lack last_seq, and
+    // those created before exact values lack exact_value
+    const columns = await this.db.all("PRAGMA table_info(counter_state)");
+    if (!columns.some((c) => c.name === "last_seq")) {
+      await this.db.exec(
+        "ALTER TABLE counter_state ADD COLUMN last_seq INTEGER NOT NULL DEFAULT 0"
+      );
+    }
+    if (!columns.some((c) => c.name === "exact_value")) {
+      await this.db.exec("ALTER TABLE counter_state ADD COLUMN exact_value TEXT");
+    }
+
+    await this.db.run(
+      "INSERT OR IGNORE INTO counter_state (id, value) VALUES (1, 0)"
+    );
+  }
+
+  async load() {
+    const row = await this.db.get(
+      "SELECT value, exact_value, last_seq FROM counter_state WHERE id = 1"
+    );
+    if (!row) return null;
+    return { snapshot: row.exact_value ?? row.value, seq: row.last_seq };
+  }
+
+  // BigInt and decimal snapshots arrive as strings. An INTEGER column
+  // would round them, so they are kept as text next to an approximation
+  async save(value, seq) {
+    const exact = typeof value === "string" ? value : null;
+    await this.db.run(
+      "UPDATE counter_state SET value = ?, exact_value = ?, last_seq = ? WHERE id = 1",
+      exact === null ? value : Number(exact),
+      exact,
+      seq
+    );
+  }
+
+  async close() {
+    await this.db.close();
+  }
+}
+
+/**
+ * A JSON file holding the snapshot, for environments where the native
+ * sqlite3 module is unavailable. Each save writes a temp file and renames
+ * it into place (fsyncing first if the durability level fsyncs).
+ */
+export class JsonFileStorage {
+  constructor({ path = "counter.json", durability = "write" } = {}) {
+    this.path = path;
+    this.durability = durability;
+    this.lockPath = `${path}.lock`;
+  }
+
+  async open() {}
+
+  async load() {
+    let content;
+    try {
+      content = await fsPromises.readFile(this.path, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+
+    const { snapshot, seq } = JSON.parse(content);
+    return { snapshot, seq };
+  }
+
+  async save(snapshot, seq) {
+    const tmpPath = `${this.path}.tmp`;
+    const content = JSON.stringify({ version: 1, snapshot, seq });
+
+    const handle = await fsPromises.open(tmpPath, "w");
+    try {
+      await handle.writeFile(content);
+      if (isFsynced(this.durability)) await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fsPromises.rename(tmpPath, this.path);
+  }
+
+  async close() {}
+}
+
+/**
+ * Keeps the snapshot in memory, for unit tests. Pass the same instance
+ * (and the same MemoryLog) to a new counter to simulate a restart.
+ */
+export class MemoryStorage {
+  constructor() {
+    this.lockPath = null;
+    this.saved = null; // { snapshot, seq }
+  }
+
+  async open() {}
+
+  async load() {
+    return this.saved && structuredClone(this.saved);
+  }
+
+  async save(snapshot, seq) {
+    this.saved = structuredClone({ snapshot, seq });
+  }
+
+  async close() {}
+}
+
+/**
+ * Copy an open database to `destPath` with SQLite's online backup API.
+ * The copy is a consistent snapshot of one moment, even if the database
+ * is written to meanwhile.
+ */
+export function backupSqlite(db, destPath) {
+  return new Promise((resolve, reject) => {
+    const backup = db.getDatabaseInstance().backup(destPath, (err) => {
+      if (err) return reject(err);
+      backup.step(-1, (err) => {
+        if (err) return reject(err);
+        backup.finish((err) => (err ? reject(err) : resolve()));
+      });
+    });
+  });
+}
+
+/**
+ * Open a SQLite database. The native driver is only loaded here, so the
+ * other adapters work where it cannot be built.
+ */
+export async function openSqlite(filename) {
+  const [{ open }, { default: sqlite3 }] = await Promise.all([
+    import("sqlite"),
+    import("sqlite3"),
+  ]);
+  return open({ filename, driver: sqlite3.Database });
+}
@@ -0,0 +1,388 @@
+import FileLock from "./lock.js";
+import { openSqlite } from "./storage.js";
+import { encodeRecord, parseLog, FileLog } from "./wal.js";
+import { validateDurability, isFsynced, applyDurability } from "./durability.js";
+import { CounterBoundError } from "./errors.js";
+
+/**
+ * One SQLite database + one write-ahead log shared by many counters.
+ * Every counter is a row keyed by name; log entries are tagged with the
+ * counter name so a single replay can restore all of them.
+ */
+export default class SharedStore {
+  constructor({
+    dbPath = "counters.db",
+    logPath = "counters.log",
+    lockTimeout = 0, // ms to wait for another owner to release the files
+    durability = "fsync", // SQLite and log cuts; see durability.js
+    logger = console, // Anything with an error(...args) method
+  } = {}) {
+    validateDurability(durability);
+
+    this.dbPath = dbPath;
+    this.logPath = logPath;
+    this.log = new FileLog(logPath);
+    this.lockTimeout = lockTimeout;
+    this.durability = durability;
+    this.logger = logger;
+
+    this.db = null;
+    this.lock = null;
+    this.seq = 0; // Sequence number of the last log record written
+    this.recovery = null; // What the last replay applied and discarded
+    this.counters = new Map(); // name -> ThreeStateCounter
+    this.persisted = new Map(); // name -> last value written to SQLite
+    this.detached = new Map(); // name -> closed counter, until a flush persists it
+    this.writes = new Set(); // Transaction appends in flight
+
+    // Flushes share one connection and cut the log at a byte offset,
+    // so they must not overlap
+    this.flushQueue = Promise.resolve();
+  }
+
+  // ---------- Setup & Recovery ----------
+
+  async init() {
+    this.lock = new FileLock(`${this.dbPath}.lock`);
+    await this.lock.acquire({ timeout: this.lockTimeout });
+
+    try {
+      this.db = await openSqlite(this.dbPath);
+
+      await applyDurability(this.db, this.durability);
+
+      await this.db.exec(`
+        CREATE TABLE IF NOT EXISTS counters (
+          name TEXT PRIMARY KEY,
+          value INTEGER NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS store_state (
+          id INTEGER PRIMARY KEY CHECK (id = 1),
+          last_seq INTEGER NOT NULL
+        );
+        INSERT OR IGNORE INTO store_state (id, last_seq) VALUES (1, 0);
+      `);
+
+      const row = await this.db.get("SELECT last_seq FROM store_state WHERE id = 1");
+      this.seq = row.last_seq;
+
+      await this._replayLog();
+    } catch (err) {
+      this.lock.release();
+      throw err;
+    }
+  }
+
+  async _replayLog() {
+    try {
+      const content = await this.log.read();
+      if (!content) return;
+
+      // Async counters number their records before they are written
+      const { records, discarded } = parseLog(content, parseEntry, { ordered: false });
+      const lastApplied = this.seq;
+      const deltas = new Map();
+      let replayed = 0;
+
+      for (const { seq, entry } of records) {
+        // Already part of the values in SQLite (crash after COMMIT)
+        if (seq !== null && seq <= lastApplied) continue;
+
+        for (const [name, delta] of entry) {
+          deltas.set(name, (deltas.get(name) ?? 0) + delta);
+        }
+        replayed++;
+        if (seq !== null) this.seq = Math.max(this.seq, seq);
+      }
+
+      this.recovery = {
+        replayed,
+        skipped: records.length - replayed,
+        discarded,
+      };
+      if (discarded) {
+        this.logger.error(
+          `Discarded ${discarded.records} torn or corrupt log record(s) ` +
+            `(${discarded.bytes} bytes from line ${discarded.line}) in ${this.logPath}`
+        );
+      }
+
+      // Fold the whole log into SQLite at once, then clear it
+      await this._transaction(async () => {
+        for (const [name, delta] of deltas) {
+          await this.db.run(
+            "INSERT OR IGNORE INTO counters (name, value) VALUES (?, 0)",
+            name
+          );
+          await this.db.run(
+            "UPDATE counters SET value = value + ? WHERE name = ?",
+            delta,
+            name
+          );
+        }
+        await this._saveSeq(this.seq);
+      });
+
+      await this.log.clear();
+    } catch (err) {
+      this.logger.error("Error replaying shared log:", err);
+    }
+  }
+
+  // ---------- Counter Registration ----------
+
+  async attach(counter) {
+    const { name } = counter;
+    if (this.counters.has(name)) {
+      throw new Error(`Counter "${name}" is already attached to this store`);
+    }
+
+    // Closed since the last flush: SQLite doesn't have its value yet
+    const previous = this.detached.get(name);
+    if (previous) {
+      this.detached.delete(name);
+      counter.value = previous.value;
+      this.counters.set(name, counter);
+      return;
+    }
+
+    await this.db.run(
+      "INSERT OR IGNORE INTO counters (name, value) VALUES (?, 0)",
+      name
+    );
+    const row = await this.db.get(
+      "SELECT value FROM counters WHERE name = ?",
+      name
+    );
+
+    counter.value = row?.value ?? 0;
+    this.persisted.set(name, counter.value);
+    this.counters.set(name, counter);
+  }
+
+  // The counter's value is persisted by the next flush, so closing many
+  // counters (e.g. evicting family keys) doesn't flush once per counter
+  detach(counter) {
+    if (this.counters.get(counter.name) !== counter) return;
+    this.counters.delete(counter.name);
+    this.detached.set(counter.name, counter);
+  }
+
+  formatEntry(name, delta) {
+    return encodeRecord(++this.seq, JSON.stringify([name, delta]));
+  }
+
+  // ---------- Transactions ----------
+
+  /**
+   * Append deltas for several counters as one log record, then apply them
+   * to memory. A torn record fails its checksum, so replay applies all of
+   * the deltas or none of them.
+   * Bounded counters never clamp inside a transaction: if any counter
+   * would leave its bounds, the whole transaction is rejected.
+   * @param {[string, number][]} deltas - [name, delta] pairs.
+   */
+  async commit(deltas) {
+    const totals = new Map();
+    for (const [name, delta] of deltas) {
+      if (!this.counters.has(name)) {
+        throw new Error(`Counter "${name}" is not attached to this store`);
+      }
+      this.counters.get(name)._delta(delta);
+      totals.set(name, (totals.get(name) ?? 0) + delta);
+    }
+
+    for (const [name, delta] of totals) {
+      const counter = this.counters.get(name);
+      if (!counter._fits(delta)) {
+        throw new CounterBoundError(name, counter.value, delta, counter.min, counter.max);
+      }
+    }
+
+    // Hold the room these deltas need until they are applied
+    reserve(this.counters, totals, 1);
+
+    const record = encodeRecord(++this.seq, JSON.stringify(deltas));
+
+    // Apply inside the write's promise, so a flush that waits for the
+    // append also sees the new values
+    const write = this.log.append(`${record}\n`, {
+      fsync: isFsynced(this.durability),
+    }).then(() => {
+      reserve(this.counters, totals, -1);
+      for (const [name, delta] of deltas) {
+        const counter = this.counters.get(name);
+        const previous = counter.value;
+        counter.value += delta;
+        counter.pending++;
+        counter._changed(previous);
+      }
+    });
+
+    this.writes.add(write);
+    try {
+      await write;
+    } catch (err) {
+      reserve(this.counters, totals, -1);
+      throw err;
+    } finally {
+      this.writes.delete(write);
+    }
+
+    const counters = deltas.map(([name]) => this.counters.get(name));
+    if (counters.some((c) => c.pending >= c.flushEvery)) {
+      this.flush();
+    }
+  }
+
+  // ---------- Flush to Persistent DB ----------
+
+  flush() {
+    const run = this.flushQueue.then(() => this._flush());
+    this.flushQueue = run.catch(() => {});
+    return run;
+  }
+
+  async _flush() {
+    if (!this.db || !this.db.open) return;
+
+    try {
+      // Drain every async buffer so the log holds everything we persist
+      for (const counter of this.counters.values()) {
+        if (counter.mode === "async") {
+          await counter._flushWriteBuffer();
+        }
+      }
+      await this._settleWrites();
+
+      // Snapshot: the values cover exactly the records up to this.seq, and
+      // every record past logOffset is newer than the snapshot
+      const dirty = [];
+      const snapshot = [];
+      for (const [name, counter] of this.counters) {
+        if (counter.value !== this.persisted.get(name)) {
+          dirty.push([name, counter.value]);
+        }
+        snapshot.push([counter, counter.value]);
+      }
+      const detached = [...this.detached];
+      for (const [name, counter] of detached) {
+        if (counter.value !== this.persisted.get(name)) {
+          dirty.push([name, counter.value]);
+        }
+      }
+      const seq = this.seq;
+      const logOffset = this.log.size();
+
+      // All dirty counters and the sequence number land in one transaction
+      await this._transaction(async () => {
+        for (const [name, value] of dirty) {
+          await this.db.run(
+            "UPDATE counters SET value = ? WHERE name = ?",
+            value,
+            name
+          );
+        }
+        await this._saveSeq(seq);
+      });
+
+      // The cut must not race an append that is still in flight
+      await this._settleWrites();
+      this.log.cut(logOffset, { fsync: isFsynced(this.durability) });
+
+      for (const [name, value] of dirty) {
+        this.persisted.set(name, value);
+      }
+      // Unless attached again meanwhile, they are done with
+      for (const [name, counter] of detached) {
+        if (this.detached.get(name) !== counter) continue;
+        this.detached.delete(name);
+        this.persisted.delete(name);
+      }
+      const now = Date.now();
+      for (const counter of this.counters.values()) {
+        counter.pending = 0;
+        counter.lastFlushAt = now;
+      }
+
+      for (const [counter, value] of snapshot) {
+        if (counter.history) await counter.history.record(value);
+        counter.emit("flush", { value, seq });
+      }
+    } catch (err) {
+      this.logger.error("Error flushing shared store:", err);
+      throw err;
+    }
+  }
+
+  async _settleWrites() {
+    // Failures are reported to whoever started the append
+    for (;;) {
+      const inFlight = [...this.writes];
+      for (const counter of this.counters.values()) {
+        if (counter.writing) inFlight.push(counter.writing);
+      }
+      if (inFlight.length === 0) return;
+      await Promise.allSettled(inFlight);
+    }
+  }
+
+  async _saveSeq(seq) {
+    await this.db.run("UPDATE store_state SET last_seq = ? WHERE id = 1", seq);
+  }
+
+  async _transaction(fn) {
+    await this.db.exec("BEGIN");
+    try {
+      await fn();
+      await this.db.exec("COMMIT");
+    } catch (err) {
+      await this.db.exec("ROLLBACK");
+      throw err;
+    }
+  }
+
+  async close() {
+    if (!this.db || !this.db.open) return;
+
+    try {
+      await this.flush();
+      await this.db.close();
+    } finally {
+      this.lock.release();
+    }
+    this.counters.clear();
+    this.persisted.clear();
+    this.detached.clear();
+  }
+}
+
+function reserve(counters, totals, sign) {
+  for (const [name, delta] of totals) {
+    const counter = counters.get(name);
+    if (delta > 0) counter.reservedUp += sign * delta;
+    else counter.reservedDown += sign * delta;
+  }
+}
+
+// Returns the record's [name, delta] pairs: one for a plain increment,
+// several for a transaction
+function parseEntry(body) {
+  try {
+    const parsed = JSON.parse(body);
+    const deltas = Array.isArray(parsed[0]) ? parsed : [parsed];
+    if (deltas.length === 0 || !deltas.every(isDelta)) return null;
+    return deltas;
+  } catch {
+    return null;
+  }
+}
+
+function isDelta(pair) {
+  return (
+    Array.isArray(pair) &&
+    pair.length === 2 &&
+    typeof pair[0] === "string" &&
+    Number.isFinite(pair[1])
+  );
+}
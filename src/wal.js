@@ -0,0 +1,301 @@
+import fs from "fs";
+import { promises as fsPromises } from "fs";
+
+/**
+ * Write-ahead log record framing.
+ *
+ * Every record is one line:
+ *
+ *   W1 <seq> <body> <crc32>
+ *
+ * "W1" is the format version, <seq> a sequence number that only grows,
+ * <body> the payload and <crc32> eight hex digits over "<seq> <body>".
+ * A line that fails any of these checks is torn or corrupt.
+ *
+ * A shared log (see store.js) is the exception to growing sequence
+ * numbers: each counter's async buffer takes its numbers when records are
+ * buffered, so records of different counters can reach the file out of
+ * order. There the checksum alone decides what is corrupt.
+ *
+ * Logs written before framing existed hold bare bodies (e.g. "5") and are
+ * still accepted, without checksum protection.
+ */
+
+export const WAL_VERSION = 1;
+
+const PREFIX = `W${WAL_VERSION} `;
+
+export function encodeRecord(seq, body) {
+  const framed = `${seq} ${body}`;
+  return `${PREFIX}${framed} ${crc32Hex(framed)}`;
+}
+
+/**
+ * @returns {{seq: number, body: string} | null} null if the line is not a
+ *   complete, intact framed record.
+ */
+export function decodeRecord(line) {
+  if (!line.startsWith(PREFIX)) return null;
+
+  const framed = line.slice(PREFIX.length, -9);
+  const crc = line.slice(-8);
+  if (line[line.length - 9] !== " " || crc32Hex(framed) !== crc) return null;
+
+  const space = framed.indexOf(" ");
+  if (space === -1) return null;
+
+  const seq = Number(framed.slice(0, space));
+  if (!Number.isSafeInteger(seq) || seq < 0) return null;
+
+  return { seq, body: framed.slice(space + 1) };
+}
+
+/**
+ * Parse a whole log. Stops at the first torn or corrupt record: nothing
+ * after it can be trusted to be in order, so it is reported, not applied.
+ * @param {string} content - Raw log file contents.
+ * @param {(body: string) => any} parseBody - Returns the decoded payload,
+ *   or null if the body is invalid.
+ * @param {object} [options]
+ * @param {boolean} [options.ordered=true] - Treat a sequence number that
+ *   doesn't grow as corruption. false for shared logs.
+ * @returns {{records: {seq: number|null, entry: any}[],
+ *   discarded: {records: number, bytes: number, line: number} | null}}
+ */
+export function parseLog(content, parseBody, { ordered = true } = {}) {
+  const records = [];
+  const lines = content.split("\n");
+  let offset = 0;
+  let lastSeq = -1;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const next = offset + line.length + 1;
+
+    if (!line) {
+      offset = next;
+      continue;
+    }
+
+    let seq = null;
+    let entry = null;
+
+    if (line.startsWith("W")) {
+      const record = decodeRecord(line);
+      if (record && (record.seq > lastSeq || !ordered)) {
+        seq = record.seq;
+        entry = parseBody(record.body);
+      }
+    } else {
+      entry = parseBody(line); // Legacy unframed record
+    }
+
+    if (entry === null) {
+      return {
+        records,
+        discarded: {
+          records: lines.slice(i).filter(Boolean).length,
+          bytes: Buffer.byteLength(content.slice(offset)),
+          line: i + 1,
+        },
+      };
+    }
+
+    if (seq !== null) lastSeq = seq;
+    records.push({ seq, entry });
+    offset = next;
+  }
+
+  return { records, discarded: null };
+}
+
+// ---------- Log Files ----------
+
+export function appendLogSync(logPath, data, { fsync = false } = {}) {
+  if (!fsync) {
+    fs.appendFileSync(logPath, data);
+    return;
+  }
+  writeSynced(logPath, data, "a");
+}
+
+export async function appendLog(logPath, data, { fsync = false } = {}) {
+  if (!fsync) {
+    await fsPromises.appendFile(logPath, data);
+    return;
+  }
+
+  const handle = await fsPromises.open(logPath, "a");
+  try {
+    await handle.appendFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+export function syncLog(logPath) {
+  let fd;
+  try {
+    fd = fs.openSync(logPath, "r");
+  } catch (err) {
+    if (err.code === "ENOENT") return;
+    throw err;
+  }
+  try {
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+export function logSize(logPath) {
+  try {
+    return fs.statSync(logPath).size;
+  } catch (err) {
+    if (err.code === "ENOENT") return 0;
+    throw err;
+  }
+}
+
+/**
+ * Drop the first `offset` bytes of the log, keeping whatever was appended
+ * after them. The remainder is written to a temp file and renamed into
+ * place, so a crash leaves either the old log or the new one.
+ * With `fsync`, the remainder is on disk before the rename.
+ */
+export function cutLog(logPath, offset, { fsync = false } = {}) {
+  const size = logSize(logPath);
+  if (size <= offset) {
+    fs.writeFileSync(logPath, "");
+    return;
+  }
+
+  const tail = Buffer.alloc(size - offset);
+  const fd = fs.openSync(logPath, "r");
+  try {
+    fs.readSync(fd, tail, 0, tail.length, offset);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const tmpPath = `${logPath}.tmp`;
+  if (fsync) {
+    writeSynced(tmpPath, tail, "w");
+  } else {
+    fs.writeFileSync(tmpPath, tail);
+  }
+  fs.renameSync(tmpPath, logPath);
+}
+
+// ---------- Log Adapters ----------
+//
+// A counter talks to its log through one of these. Both implement:
+//
+//   path                          - File path, or null
+//   async read()                  - Whole log as a string ("" if none)
+//   appendSync(data, { fsync })
+//   async append(data, { fsync })
+//   sync()                        - fsync what was appended so far
+//   size()                        - Length in bytes
+//   cut(offset, { fsync })        - See cutLog()
+//   async clear()
+
+/** The default: an append-only file. */
+export class FileLog {
+  constructor(path) {
+    this.path = path;
+  }
+
+  async read() {
+    if (!fs.existsSync(this.path)) return "";
+    return fsPromises.readFile(this.path, "utf8");
+  }
+
+  appendSync(data, options) {
+    appendLogSync(this.path, data, options);
+  }
+
+  append(data, options) {
+    return appendLog(this.path, data, options);
+  }
+
+  sync() {
+    syncLog(this.path);
+  }
+
+  size() {
+    return logSize(this.path);
+  }
+
+  cut(offset, options) {
+    cutLog(this.path, offset, options);
+  }
+
+  async clear() {
+    await fsPromises.writeFile(this.path, "");
+  }
+}
+
+/** Keeps the log in memory, for unit tests. See MemoryStorage. */
+export class MemoryLog {
+  constructor() {
+    this.path = null;
+    this.content = Buffer.alloc(0);
+  }
+
+  async read() {
+    return this.content.toString("utf8");
+  }
+
+  appendSync(data) {
+    this.content = Buffer.concat([this.content, Buffer.from(data)]);
+  }
+
+  async append(data) {
+    this.appendSync(data);
+  }
+
+  sync() {}
+
+  size() {
+    return this.content.length;
+  }
+
+  cut(offset) {
+    this.content = this.content.subarray(offset);
+  }
+
+  async clear() {
+    this.content = Buffer.alloc(0);
+  }
+}
+
+function writeSynced(filePath, data, flags) {
+  const fd = fs.openSync(filePath, flags);
+  try {
+    fs.writeFileSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// ---------- CRC-32 (IEEE) ----------
+
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c;
+}
+
+function crc32Hex(text) {
+  let crc = -1;
+  for (const byte of Buffer.from(text, "utf8")) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return ((crc ^ -1) >>> 0).toString(16).padStart(8, "0");
+}
@@ -0,0 +1,213 @@
+import ThreeStateCounter from "./core.js";
+import { SqliteStorage } from "./storage.js";
+
+/**
+ * A counter whose value is "how many in the last `window` ms".
+ *
+ *   "fixed"   - One bucket per window, aligned to the clock (e.g. each
+ *               whole minute). The value drops to 0 when the window rolls.
+ *   "sliding" - The window is split into `buckets` buckets and the value is
+ *               the sum of the newest `buckets` of them, so the window moves
+ *               forward one bucket at a time.
+ *
+ * Every increment is logged with the start of its bucket, so replay puts it
+ * back into the same bucket and a restart doesn't reset anyone's window.
+ * Non-expired buckets are persisted on flush(): as [start, count] pairs
+ * with any storage adapter, in a `window_buckets` table with SQLite.
+ */
+export default class WindowedCounter extends ThreeStateCounter {
+  constructor({
+    window = 60000, // Window length in ms
+    buckets = 10, // Buckets per window ("sliding" only)
+    type = "sliding", // "fixed" or "sliding"
+    clock = Date.now, // Time source, in ms
+    ...options
+  } = {}) {
+    super(options);
+
+    if (options.store) {
+      throw new Error("Windowed counters cannot use a shared store");
+    }
+
+    if (this.numbers.name !== "integer") {
+      throw new Error("Windowed counters only count integers");
+    }
+
+    if (this.ledgerEnabled) {
+      throw new Error("Windowed counters have no ledger");
+    }
+
+    if (this.idempotencyRetention) {
+      throw new Error("Windowed counters have no idempotency keys");
+    }
+
+    if (type !== "fixed" && type !== "sliding") {
+      throw new Error('type must be "fixed" or "sliding"');
+    }
+
+    const bucketCount = type === "fixed" ? 1 : buckets;
+    if (!Number.isInteger(bucketCount) || bucketCount < 1) {
+      throw new Error("buckets must be a positive integer");
+    }
+    if (!Number.isInteger(window / bucketCount) || window <= 0) {
+      throw new Error("window must be a positive whole number of ms per bucket");
+    }
+
+    this.window = window;
+    this.type = type;
+    this.bucketCount = bucketCount;
+    this.bucketSize = window / bucketCount;
+    this.clock = clock;
+    this.buckets = new Map(); // bucket start (ms) -> count
+  }
+
+  // The value is derived from the buckets. Assigning it is only meaningful
+  // as a reset: the base class and CounterManager.reset() assign 0.
+  get value() {
+    return this.getValue();
+  }
+
+  set value(value) {
+    if (value !== 0) {
+      throw new Error("A windowed counter can only be reset to 0");
+    }
+    this.buckets?.clear();
+  }
+
+  // ---------- Setup & Recovery ----------
+
+  _defaultStorage(dbPath, durability) {
+    return new WindowSqliteStorage({ dbPath, durability });
+  }
+
+  _restore(buckets) {
+    this.buckets.clear();
+    for (const [start, count] of Array.isArray(buckets) ? buckets : []) {
+      this.buckets.set(start, count);
+    }
+    this._prune();
+  }
+
+  // ---------- Log Entries ----------
+
+  _entry(delta) {
+    return { start: this._bucketStart(this.clock()), delta };
+  }
+
+  _encodeEntry({ start, delta }) {
+    return `${delta}@${start}`;
+  }
+
+  _decodeEntry(body) {
+    const at = body.lastIndexOf("@");
+    if (at === -1) return null;
+
+    const delta = Number(body.slice(0, at));
+    const start = Number(body.slice(at + 1));
+    if (at === 0 || !Number.isFinite(delta) || !Number.isSafeInteger(start)) {
+      return null;
+    }
+    return { start, delta };
+  }
+
+  _applyEntry({ start, delta }) {
+    this.buckets.set(start, (this.buckets.get(start) ?? 0) + delta);
+    this._prune();
+  }
+
+  _snapshot() {
+    this._prune();
+    return [...this.buckets];
+  }
+
+  // ---------- Reading ----------
+
+  getValue() {
+    const oldest = this._oldestStart(this.clock());
+    let total = 0;
+    for (const [start, count] of this.buckets) {
+      if (start >= oldest) total += count;
+    }
+    return total;
+  }
+
+  /**
+   * Per-bucket breakdown of the current window, oldest first. Buckets
+   * without increments are included with a count of 0.
+   * @returns {{start: number, end: number, count: number}[]}
+   */
+  getBuckets() {
+    const oldest = this._oldestStart(this.clock());
+    const result = [];
+    for (let i = 0; i < this.bucketCount; i++) {
+      const start = oldest + i * this.bucketSize;
+      result.push({
+        start,
+        end: start + this.bucketSize,
+        count: this.buckets.get(start) ?? 0,
+      });
+    }
+    return result;
+  }
+
+  // ---------- Buckets ----------
+
+  _bucketStart(now) {
+    return Math.floor(now / this.bucketSize) * this.bucketSize;
+  }
+
+  _oldestStart(now) {
+    return this._bucketStart(now) - (this.bucketCount - 1) * this.bucketSize;
+  }
+
+  _prune() {
+    const oldest = this._oldestStart(this.clock());
+    for (const start of this.buckets.keys()) {
+      if (start < oldest) this.buckets.delete(start);
+    }
+  }
+}
+
+/**
+ * SqliteStorage for windowed counters: buckets are rows of their own
+ * table, written in one transaction with the sequence number.
+ */
+class WindowSqliteStorage extends SqliteStorage {
+  async open() {
+    await super.open();
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS window_buckets (
+        start INTEGER PRIMARY KEY,
+        count INTEGER NOT NULL
+      )
+    `);
+  }
+
+  async load() {
+    const saved = await super.load();
+    const rows = await this.db.all("SELECT start, count FROM window_buckets");
+    return {
+      snapshot: rows.map(({ start, count }) => [start, count]),
+      seq: saved?.seq ?? 0,
+    };
+  }
+
+  async save(buckets, seq) {
+    await this.db.exec("BEGIN");
+    try {
+      await this.db.run("DELETE FROM window_buckets");
+      for (const [start, count] of buckets) {
+        await this.db.run(
+          "INSERT INTO window_buckets (start, count) VALUES (?, ?)",
+          start,
+          count
+        );
+      }
+      await super.save(0, seq);
+      await this.db.exec("COMMIT");
+    } catch (err) {
+      await this.db.exec("ROLLBACK");
+      throw err;
+    }
+  }
+}
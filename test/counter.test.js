@@ -2,10 +2,30 @@
 // Save this as: test/counter.test.js
 
 import ThreeStateCounter from "../src/core.js";
-import counter from "../src/index.js";
+import SharedStore from "../src/store.js";
+import WindowedCounter from "../src/window.js";
+import CounterFamily from "../src/family.js";
+import { encodeRecord, decodeRecord, cutLog, MemoryLog } from "../src/wal.js";
+import { MemoryStorage, JsonFileStorage } from "../src/storage.js";
+import { run as runCli } from "../src/cli.js";
+import counter, {
+  CounterManager,
+  CounterLockedError,
+  CounterBoundError,
+  CounterBufferFullError,
+  createServer,
+  serveWorkers,
+  connectToPrimary,
+} from "../src/index.js";
 import assert from "assert";
 import fs from "fs";
 import { promises as fsPromises } from "fs";
+import { spawnSync } from "child_process";
+import cluster from "cluster";
+import { EventEmitter } from "events";
+import os from "os";
+import path from "path";
+import http from "http";
 
 console.log("🧪 Running Three-State Counter Tests\n");
 
@@ -28,7 +48,7 @@ async function test(name, fn) {
 async function cleanup() {
   const files = await fsPromises.readdir(".");
   for (const file of files) {
-    if (file.startsWith("test-") && (file.endsWith(".db") || file.endsWith(".log"))) {
+    if (file.startsWith("test-") && /\.(db|log|lock|json|db-wal|db-shm)$/.test(file)) {
       try {
         await fsPromises.unlink(file);
       } catch (e) {}
@@ -89,7 +109,7 @@ await test("Core: Sync mode writes immediately", async () => {
   assert.strictEqual(logExists, true);
   
   const content = await fsPromises.readFile(logPath, "utf8");
-  assert.strictEqual(content.trim(), "1");
+  assert.deepStrictEqual(decodeRecord(content.trim()), { seq: 1, body: "1" });
 
   await c.close();
 });
@@ -123,6 +143,7 @@ await test("Core: Crash recovery from log", async () => {
   c1.increment(5);
   c1.increment(3);
   await c1.db.close();
+  c1.lock.release(); // A dead process no longer holds its lock
 
   // Session 2
   const c2 = new ThreeStateCounter({ dbPath, logPath, flushEvery: 100, mode: "sync" });
@@ -217,6 +238,7 @@ await test("Manager: Reuse name returns existing", async () => {
   assert.strictEqual(c1, c2);
   assert.strictEqual(c2.value, 1);
   await counter.closeAll();
+  await counter.closeAll();
 });
 
 // Test 13: Flush all
@@ -282,8 +304,8 @@ await test("Edge: Negative values", async () => {
   await c.close();
 });
 
-// Test 17: Corrupted log
-await test("Edge: Corrupted log file", async () => {
+// Test 17: Corrupted log (legacy plain-integer format)
+await test("Edge: Corrupted log file stops replay", async () => {
   const logPath = "test-edge-17.log";
   await fsPromises.writeFile(logPath, "1\n2\ninvalid\n3\n");
   
@@ -295,7 +317,9 @@ await test("Edge: Corrupted log file", async () => {
   });
 
   await c.init();
-  assert.strictEqual(c.getValue(), 6);
+  assert.strictEqual(c.getValue(), 3);
+  assert.strictEqual(c.recovery.replayed, 2);
+  assert.deepStrictEqual(c.recovery.discarded, { records: 2, bytes: 10, line: 3 });
   await c.close();
 });
 
@@ -346,6 +370,2177 @@ await test("Async: Buffer flushes properly", async () => {
   await c.close();
 });
 
+console.log("\n🗄️  SHARED STORE TESTS");
+
+// Test 20: Shared store keeps all counters in one file pair
+await test("Shared: Manager stores counters in one DB", async () => {
+  counter.useSharedStore({ dbPath: "test-shared-20.db", logPath: "test-shared-20.log" });
+
+  const a = await counter.setup("test-shared-a", 0, 1, 100, "sync");
+  const b = await counter.setup("test-shared-b", 10, 1, 100, "async");
+  a();
+  b();
+  b();
+
+  await counter.flushAll();
+
+  assert.strictEqual(fs.existsSync("test-shared-a.db"), false);
+  assert.strictEqual(fs.existsSync("test-shared-b.db"), false);
+
+  const rows = await counter.store.db.all("SELECT name, value FROM counters ORDER BY name");
+  assert.deepStrictEqual(rows, [
+    { name: "test-shared-a", value: 1 },
+    { name: "test-shared-b", value: 12 },
+  ]);
+
+  const log = await fsPromises.readFile("test-shared-20.log", "utf8");
+  assert.strictEqual(log, "");
+
+  await counter.closeAll();
+  counter.useSharedStore(null);
+});
+
+// Test 21: Shared log recovers every counter after a crash
+await test("Shared: Crash recovery from shared log", async () => {
+  const dbPath = "test-shared-21.db";
+  const logPath = "test-shared-21.log";
+
+  // Session 1
+  const s1 = new SharedStore({ dbPath, logPath });
+  await s1.init();
+  const x1 = new ThreeStateCounter({ name: "x", store: s1, flushEvery: 100, mode: "sync" });
+  const y1 = new ThreeStateCounter({ name: "y", store: s1, flushEvery: 100, mode: "sync" });
+  await x1.init();
+  await y1.init();
+  x1.increment(5);
+  y1.increment(7);
+  x1.increment(3);
+  await s1.db.close();
+  s1.lock.release();
+
+  // Session 2
+  const s2 = new SharedStore({ dbPath, logPath });
+  await s2.init();
+  const x2 = new ThreeStateCounter({ name: "x", store: s2, flushEvery: 100, mode: "sync" });
+  const y2 = new ThreeStateCounter({ name: "y", store: s2, flushEvery: 100, mode: "sync" });
+  await x2.init();
+  await y2.init();
+  assert.strictEqual(x2.getValue(), 8);
+  assert.strictEqual(y2.getValue(), 7);
+  await s2.close();
+
+  // Async records are numbered when buffered, so a sync counter's
+  // records can reach the log before them
+  const mixed = { dbPath: "test-shared-21m.db", logPath: "test-shared-21m.log" };
+  const s3 = new SharedStore(mixed);
+  await s3.init();
+  const a3 = new ThreeStateCounter({ name: "a", store: s3, flushEvery: 100, mode: "async" });
+  const b3 = new ThreeStateCounter({ name: "b", store: s3, flushEvery: 100, mode: "sync" });
+  await a3.init();
+  await b3.init();
+  a3.increment();
+  b3.increment();
+  await new Promise(resolve => setTimeout(resolve, 100));
+  b3.increment();
+  const seqs = (await fsPromises.readFile(mixed.logPath, "utf8"))
+    .trim().split("\n").map((line) => decodeRecord(line).seq);
+  assert.deepStrictEqual(seqs, [2, 1, 3]);
+  await s3.db.close();
+  s3.lock.release();
+
+  const s4 = new SharedStore(mixed);
+  await s4.init();
+  assert.strictEqual(s4.recovery.discarded, null);
+  assert.strictEqual(s4.seq, 3);
+  const a4 = new ThreeStateCounter({ name: "a", store: s4, flushEvery: 100, mode: "sync" });
+  const b4 = new ThreeStateCounter({ name: "b", store: s4, flushEvery: 100, mode: "sync" });
+  await a4.init();
+  await b4.init();
+  assert.strictEqual(a4.getValue(), 1);
+  assert.strictEqual(b4.getValue(), 2);
+  await s4.close();
+});
+
+console.log("\n🔒 LOCK TESTS");
+
+// Test 22: Second opener is rejected
+await test("Lock: Second opener gets CounterLockedError", async () => {
+  const opts = { dbPath: "test-lock-22.db", logPath: "test-lock-22.log", mode: "sync" };
+  const c1 = new ThreeStateCounter(opts);
+  await c1.init();
+
+  const c2 = new ThreeStateCounter(opts);
+  await assert.rejects(() => c2.init(), (err) => {
+    assert.ok(err instanceof CounterLockedError);
+    assert.strictEqual(err.pid, process.pid);
+    return true;
+  });
+
+  await c1.close();
+  assert.strictEqual(fs.existsSync("test-lock-22.db.lock"), false);
+});
+
+// Test 23: Lock left behind by a dead process is taken over
+await test("Lock: Stale lock is detected", async () => {
+  const { pid } = spawnSync(process.execPath, ["-e", ""]);
+  await fsPromises.writeFile("test-lock-23.db.lock", `${pid}\n`);
+
+  const c = new ThreeStateCounter({ dbPath: "test-lock-23.db", logPath: "test-lock-23.log", mode: "sync" });
+  await c.init();
+  const owner = await fsPromises.readFile("test-lock-23.db.lock", "utf8");
+  assert.strictEqual(parseInt(owner, 10), process.pid);
+  await c.close();
+
+  // Another live process is taking the stale lock over: wait for it
+  const marker = `test-lock-23.db.lock.${pid}.takeover`;
+  await fsPromises.writeFile("test-lock-23.db.lock", `${pid}\n`);
+  await fsPromises.writeFile(marker, `${process.ppid}\n`);
+  const c2 = new ThreeStateCounter({ dbPath: "test-lock-23.db", logPath: "test-lock-23.log", mode: "sync" });
+  await assert.rejects(() => c2.init(), CounterLockedError);
+
+  // A marker whose taker died is cleared as well
+  await fsPromises.writeFile(marker, `${pid}\n`);
+  await c2.init();
+  assert.strictEqual(fs.existsSync(marker), false);
+  await c2.close();
+
+  // Our own PID, from an earlier process that had it (e.g. PID 1 in a
+  // restarted container), is stale too
+  await fsPromises.writeFile("test-lock-23.db.lock", `${process.pid}\n`);
+  const c3 = new ThreeStateCounter({ dbPath: "test-lock-23.db", logPath: "test-lock-23.log", mode: "sync" });
+  await c3.init();
+  await c3.close();
+});
+
+// Test 24: Waiting opener takes over once the owner closes
+await test("Lock: Wait for lock with timeout", async () => {
+  const opts = { dbPath: "test-lock-24.db", logPath: "test-lock-24.log", mode: "sync" };
+  const c1 = new ThreeStateCounter(opts);
+  await c1.init();
+  c1.increment(4);
+  setTimeout(() => c1.close(), 100);
+
+  const c2 = new ThreeStateCounter({ ...opts, lockTimeout: 2000 });
+  await c2.init();
+  assert.strictEqual(c2.getValue(), 4);
+  await c2.close();
+
+  // A manager that found the shared store locked tries again later
+  const shared = { dbPath: "test-lock-24s.db", logPath: "test-lock-24s.log" };
+  const owner = new CounterManager();
+  owner.useSharedStore(shared);
+  await owner.setup("hits", 0, 1, 10, "sync");
+  const next = new CounterManager();
+  next.useSharedStore(shared);
+  await assert.rejects(() => next.setup("hits", 0, 1, 10, "sync"), CounterLockedError);
+  await owner.closeAll();
+  const hits = await next.setup("hits", 0, 1, 10, "sync");
+  hits();
+  assert.strictEqual(hits.value, 1);
+  await next.closeAll();
+});
+
+console.log("\n📝 WAL FORMAT TESTS");
+
+// Test 25: Torn final record is not applied
+await test("WAL: Torn final record is discarded", async () => {
+  const logPath = "test-wal-25.log";
+  const torn = encodeRecord(3, "125").slice(0, 6); // "W1 3 1"
+  await fsPromises.writeFile(
+    logPath,
+    `${encodeRecord(1, "10")}\n${encodeRecord(2, "20")}\n${torn}`
+  );
+
+  const c = new ThreeStateCounter({ dbPath: "test-wal-25.db", logPath, mode: "sync" });
+  await c.init();
+  assert.strictEqual(c.getValue(), 30);
+  assert.strictEqual(c.recovery.replayed, 2);
+  assert.strictEqual(c.recovery.discarded.records, 1);
+  await c.close();
+});
+
+// Test 26: Checksum mismatch stops replay
+await test("WAL: Corrupt checksum stops replay", async () => {
+  const logPath = "test-wal-26.log";
+  const corrupt = encodeRecord(2, "7").replace(" 7 ", " 9 ");
+  await fsPromises.writeFile(
+    logPath,
+    [encodeRecord(1, "5"), corrupt, encodeRecord(3, "1")].join("\n") + "\n"
+  );
+
+  const c = new ThreeStateCounter({ dbPath: "test-wal-26.db", logPath, mode: "sync" });
+  await c.init();
+  assert.strictEqual(c.getValue(), 5);
+  assert.strictEqual(c.recovery.discarded.records, 2);
+
+  // New records continue after the last trusted sequence number
+  c.increment();
+  const content = await fsPromises.readFile(logPath, "utf8");
+  assert.strictEqual(decodeRecord(content.trim()).seq, 2);
+  await c.close();
+});
+
+// Test 27: Crash between UPDATE and log cut does not double-count
+await test("WAL: Replay skips records already in SQLite", async () => {
+  const dbPath = "test-lsn-27.db";
+  const logPath = "test-lsn-27.log";
+
+  const c1 = new ThreeStateCounter({ dbPath, logPath, flushEvery: 100, mode: "sync" });
+  await c1.init();
+  c1.increment(5);
+  c1.increment(3);
+
+  // First half of flush() only: value + sequence number, log left intact
+  await c1.db.run("UPDATE counter_state SET value = 8, last_seq = 2 WHERE id = 1");
+  c1.increment(1);
+  await c1.db.close();
+  c1.lock.release();
+
+  const c2 = new ThreeStateCounter({ dbPath, logPath, flushEvery: 100, mode: "sync" });
+  await c2.init();
+  assert.strictEqual(c2.getValue(), 9);
+  assert.strictEqual(c2.recovery.replayed, 1);
+  assert.strictEqual(c2.recovery.skipped, 2);
+
+  // Recovery is idempotent: a second restart changes nothing
+  await c2.db.close();
+  c2.lock.release();
+  const c3 = new ThreeStateCounter({ dbPath, logPath, flushEvery: 100, mode: "sync" });
+  await c3.init();
+  assert.strictEqual(c3.getValue(), 9);
+  await c3.close();
+});
+
+// Test 28: Cutting the log keeps records appended after the snapshot
+await test("WAL: Log cut keeps newer records", async () => {
+  const logPath = "test-lsn-28.log";
+  const older = `${encodeRecord(1, "1")}\n`;
+  const newer = `${encodeRecord(2, "2")}\n`;
+  await fsPromises.writeFile(logPath, older + newer);
+
+  cutLog(logPath, Buffer.byteLength(older));
+  assert.strictEqual(await fsPromises.readFile(logPath, "utf8"), newer);
+
+  cutLog(logPath, Buffer.byteLength(newer));
+  assert.strictEqual(await fsPromises.readFile(logPath, "utf8"), "");
+});
+
+console.log("\n💾 DURABILITY TESTS");
+
+// Test 29: Durability defaults follow the mode
+await test("Durability: Sync mode fsyncs by default", async () => {
+  const c = new ThreeStateCounter({ dbPath: "test-dur-29.db", logPath: "test-dur-29.log", mode: "sync" });
+  assert.strictEqual(c.durability, "fsync");
+  await c.init();
+
+  const { synchronous } = await c.db.get("PRAGMA synchronous");
+  const { journal_mode } = await c.db.get("PRAGMA journal_mode");
+  assert.strictEqual(synchronous, 2); // FULL
+  assert.strictEqual(journal_mode, "wal");
+
+  c.increment(2);
+  const content = await fsPromises.readFile("test-dur-29.log", "utf8");
+  assert.strictEqual(decodeRecord(content.trim()).body, "2");
+  await c.close();
+
+  const a = new ThreeStateCounter({ mode: "async" });
+  assert.strictEqual(a.durability, "write");
+});
+
+// Test 30: "none" skips the log entirely
+await test("Durability: none writes no log", async () => {
+  const logPath = "test-dur-30.log";
+  const c = new ThreeStateCounter({ dbPath: "test-dur-30.db", logPath, mode: "sync", durability: "none" });
+  await c.init();
+  c.increment(3);
+  assert.strictEqual(fs.existsSync(logPath), false);
+
+  // No log, but still a journal that survives a crash mid-transaction
+  const { synchronous } = await c.db.get("PRAGMA synchronous");
+  const { journal_mode } = await c.db.get("PRAGMA journal_mode");
+  assert.strictEqual(synchronous, 1); // NORMAL
+  assert.strictEqual(journal_mode, "wal");
+
+  await c.flush();
+  const row = await c.db.get("SELECT value FROM counter_state WHERE id = 1");
+  assert.strictEqual(row.value, 3);
+  await c.close();
+});
+
+// Test 31: fsync-batch writes at once and syncs once per window
+await test("Durability: fsync-batch groups fsyncs", async () => {
+  const logPath = "test-dur-31.log";
+  const c = new ThreeStateCounter({ dbPath: "test-dur-31.db", logPath, mode: "sync", durability: "fsync-batch" });
+  await c.init();
+  c.increment();
+  c.increment();
+
+  const content = await fsPromises.readFile(logPath, "utf8");
+  assert.strictEqual(content.trim().split("\n").length, 2);
+  assert.notStrictEqual(c.syncTimer, null);
+
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.strictEqual(c.syncTimer, null);
+  await c.close();
+});
+
+// Test 32: Unknown durability is rejected
+await test("Durability: Invalid level throws", async () => {
+  assert.throws(() => new ThreeStateCounter({ durability: "maybe" }), /durability must be one of/);
+});
+
+// Test 33: Durable increments share one append
+await test("Durability: incrementDurable group commit", async () => {
+  const logPath = "test-dur-33.log";
+  const c = new ThreeStateCounter({ dbPath: "test-dur-33.db", logPath, flushEvery: 1000, mode: "async" });
+  await c.init();
+
+  let appends = 0;
+  const flushWriteBuffer = c._flushWriteBuffer.bind(c);
+  c._flushWriteBuffer = () => {
+    if (c.writeBuffer.length > 0) appends++;
+    return flushWriteBuffer();
+  };
+
+  const values = await Promise.all(
+    Array.from({ length: 20 }, () => c.incrementDurable())
+  );
+  assert.deepStrictEqual(values, Array.from({ length: 20 }, (_, i) => i + 1));
+  assert.strictEqual(appends, 1);
+
+  // Resolved only after the records were on disk
+  const content = await fsPromises.readFile(logPath, "utf8");
+  assert.strictEqual(content.trim().split("\n").length, 20);
+  await c.close();
+
+  // A close() while appends keep failing rejects the waiters instead of
+  // leaving them pending, and stops retrying
+  const log = new MemoryLog();
+  log.append = async () => { throw new Error("disk full"); };
+  const failing = new ThreeStateCounter({
+    storage: new MemoryStorage(), log, mode: "async", batchDelay: 5,
+    logger: { error() {} },
+  });
+  await failing.init();
+  const durable = failing.incrementDurable(1);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  await failing.close();
+  await assert.rejects(durable, /closed before its log write succeeded/);
+  assert.strictEqual(failing.flushTimer, null);
+});
+
+// Test 34: Durable increment through the manager
+await test("Durability: Manager incrementDurable", async () => {
+  const c = await counter.setup("test-mgr-34", 0, 3, 100, "async");
+  const value = await c.incrementDurable();
+  assert.strictEqual(value, 3);
+  assert.strictEqual(c.value, 3);
+
+  const content = await fsPromises.readFile("test-mgr-34.log", "utf8");
+  assert.strictEqual(decodeRecord(content.trim()).body, "3");
+  await counter.closeAll();
+});
+
+console.log("\n🔀 TRANSACTION TESTS");
+
+// Test 35: Transaction moves credits between counters
+await test("Transaction: Deltas apply together", async () => {
+  counter.useSharedStore({ dbPath: "test-tx-35.db", logPath: "test-tx-35.log" });
+  const credits = await counter.setup("credits", 100, 1, 100, "sync");
+  const reserved = await counter.setup("reserved", 0, 1, 100, "sync");
+
+  const result = await counter.transaction(async (tx) => {
+    tx.credits(-5);
+    tx.reserved(5);
+    return "moved";
+  });
+  assert.strictEqual(result, "moved");
+  assert.strictEqual(credits.value, 95);
+  assert.strictEqual(reserved.value, 5);
+
+  // Callback throws: nothing is applied
+  await assert.rejects(() => counter.transaction(async (tx) => {
+    tx.credits(-5);
+    throw new Error("insufficient funds");
+  }), /insufficient funds/);
+  assert.strictEqual(credits.value, 95);
+
+  await counter.closeAll();
+  counter.useSharedStore(null);
+});
+
+// Test 36: Transaction record replays all-or-nothing
+await test("Transaction: Replay is all-or-nothing", async () => {
+  const dbPath = "test-tx-36.db";
+  const logPath = "test-tx-36.log";
+
+  const s1 = new SharedStore({ dbPath, logPath });
+  await s1.init();
+  for (const name of ["a", "b"]) {
+    await new ThreeStateCounter({ name, store: s1, flushEvery: 100, mode: "sync" }).init();
+  }
+  await s1.commit([["a", -3], ["b", 3]]);
+  await s1.commit([["a", -4], ["b", 4]]);
+  await s1.db.close();
+  s1.lock.release();
+
+  // Tear the second transaction mid-record
+  const content = await fsPromises.readFile(logPath, "utf8");
+  await fsPromises.writeFile(logPath, content.slice(0, content.length - 12));
+
+  const s2 = new SharedStore({ dbPath, logPath });
+  await s2.init();
+  const rows = await s2.db.all("SELECT name, value FROM counters ORDER BY name");
+  assert.deepStrictEqual(rows, [{ name: "a", value: -3 }, { name: "b", value: 3 }]);
+  assert.strictEqual(s2.recovery.replayed, 1);
+  await s2.close();
+
+  // A committed transaction survives next to async increments buffered
+  // before it, which reach the log after it
+  const mixed = { dbPath: "test-tx-36m.db", logPath: "test-tx-36m.log" };
+  const s3 = new SharedStore(mixed);
+  await s3.init();
+  const credits = new ThreeStateCounter({ name: "credits", store: s3, flushEvery: 100, mode: "async" });
+  await credits.init();
+  await new ThreeStateCounter({ name: "reserved", store: s3, flushEvery: 100, mode: "sync" }).init();
+  credits.increment(100);
+  await s3.commit([["credits", -5], ["reserved", 5]]);
+  await new Promise(resolve => setTimeout(resolve, 100));
+  await s3.commit([["credits", -4], ["reserved", 4]]);
+  await s3.db.close();
+  s3.lock.release();
+
+  const s4 = new SharedStore(mixed);
+  await s4.init();
+  const mixedRows = await s4.db.all("SELECT name, value FROM counters ORDER BY name");
+  assert.deepStrictEqual(mixedRows, [{ name: "credits", value: 91 }, { name: "reserved", value: 9 }]);
+  assert.strictEqual(s4.recovery.replayed, 3);
+  assert.strictEqual(s4.recovery.discarded, null);
+  await s4.close();
+});
+
+// Test 37: Transactions need the shared log
+await test("Transaction: Requires shared store", async () => {
+  await counter.setup("test-mgr-37", 0, 1, 10, "sync");
+  await assert.rejects(() => counter.transaction(() => {}), /requires the shared store/);
+  await counter.closeAll();
+});
+
+// Test 38: Transaction respects bounds
+await test("Transaction: Rejected at a bound", async () => {
+  counter.useSharedStore({ dbPath: "test-tx-38.db", logPath: "test-tx-38.log" });
+  const credits = await counter.setup("credits", 3, 1, 100, "sync", { min: 0 });
+  await counter.setup("reserved", 0, 1, 100, "sync");
+
+  await assert.rejects(() => counter.transaction((tx) => {
+    tx.credits(-5);
+    tx.reserved(5);
+  }), CounterBoundError);
+  assert.strictEqual(credits.value, 3);
+  assert.strictEqual(counter.reserved.value, 0);
+
+  await counter.closeAll();
+  counter.useSharedStore(null);
+});
+
+console.log("\n🚧 BOUNDS TESTS");
+
+// Test 39: Reject and clamp policies
+await test("Bounds: Reject and clamp", async () => {
+  const r = new ThreeStateCounter({ dbPath: "test-bound-39a.db", logPath: "test-bound-39a.log", mode: "sync", min: 0, max: 10 });
+  await r.init();
+  r.increment(8);
+  assert.throws(() => r.increment(5), CounterBoundError);
+  assert.throws(() => r.decrement(9), CounterBoundError);
+  assert.strictEqual(r.getValue(), 8);
+  await r.close();
+
+  const c = new ThreeStateCounter({ dbPath: "test-bound-39b.db", logPath: "test-bound-39b.log", mode: "sync", min: 0, max: 10, onBound: "clamp" });
+  await c.init();
+  c.increment(8);
+  c.increment(5);
+  assert.strictEqual(c.getValue(), 10);
+  c.decrement(25);
+  assert.strictEqual(c.getValue(), 0);
+  await c.close();
+});
+
+// Test 40: Conditional operations survive a crash with the same result
+await test("Bounds: Conditional operations replay consistently", async () => {
+  const opts = { dbPath: "test-bound-40.db", logPath: "test-bound-40.log", flushEvery: 100, mode: "sync", max: 5, onBound: "clamp" };
+
+  const c1 = new ThreeStateCounter(opts);
+  await c1.init();
+  assert.strictEqual(c1.tryIncrement(4), true);
+  assert.strictEqual(c1.tryIncrement(2), false);
+  assert.strictEqual(c1.incrementIfBelow(5), true);
+  assert.strictEqual(c1.incrementIfBelow(5), false);
+  assert.strictEqual(c1.compareAndSet(4, 2), false);
+  assert.strictEqual(c1.compareAndSet(5, 2), true);
+  c1.increment(10); // Clamped to 5
+  assert.strictEqual(c1.getValue(), 5);
+  await c1.db.close();
+  c1.lock.release();
+
+  const c2 = new ThreeStateCounter(opts);
+  await c2.init();
+  assert.strictEqual(c2.getValue(), 5);
+  await c2.close();
+});
+
+// Test 41: Manager exposes conditional operations
+await test("Bounds: Manager counter with bounds", async () => {
+  const credits = await counter.setup("test-mgr-41", 10, -5, 10, "sync", { min: 0 });
+  credits();
+  credits();
+  assert.throws(() => credits(), CounterBoundError);
+  assert.strictEqual(credits.value, 0);
+  assert.strictEqual(credits.tryIncrement(), false);
+  assert.strictEqual(credits.compareAndSet(0, 7), true);
+  await assert.rejects(() => credits.reset(-1), CounterBoundError);
+  assert.strictEqual(credits.value, 7);
+  await counter.closeAll();
+});
+
+console.log("\n⏱️  WINDOW TESTS");
+
+// Test 42: Sliding window drops old buckets
+await test("Window: Sliding window", async () => {
+  let now = 0;
+  const c = new WindowedCounter({
+    dbPath: "test-win-42.db", logPath: "test-win-42.log", mode: "sync",
+    window: 60000, buckets: 6, clock: () => now,
+  });
+  await c.init();
+
+  c.increment();
+  now = 15000;
+  c.increment(2);
+  now = 55000;
+  assert.strictEqual(c.getValue(), 3);
+
+  now = 65000; // The 0-10s bucket has left the window
+  assert.strictEqual(c.value, 2);
+  assert.deepStrictEqual(
+    c.getBuckets().map((b) => [b.start, b.count]),
+    [[10000, 2], [20000, 0], [30000, 0], [40000, 0], [50000, 0], [60000, 0]]
+  );
+  await c.close();
+});
+
+// Test 43: Fixed window resets on the boundary
+await test("Window: Fixed window", async () => {
+  let now = 100;
+  const c = new WindowedCounter({
+    dbPath: "test-win-43.db", logPath: "test-win-43.log", mode: "sync",
+    window: 1000, type: "fixed", clock: () => now,
+  });
+  await c.init();
+  c.increment();
+  c.increment();
+  assert.strictEqual(c.getValue(), 2);
+  now = 1100;
+  assert.strictEqual(c.getValue(), 0);
+  assert.deepStrictEqual(c.getBuckets(), [{ start: 1000, end: 2000, count: 0 }]);
+  await c.close();
+});
+
+// Test 44: Windows survive restarts from the log and from SQLite
+await test("Window: Buckets persist across restarts", async () => {
+  let now = 5000;
+  const opts = {
+    dbPath: "test-win-44.db", logPath: "test-win-44.log", flushEvery: 100, mode: "sync",
+    window: 10000, buckets: 10, clock: () => now,
+  };
+
+  const c1 = new WindowedCounter(opts);
+  await c1.init();
+  c1.increment(3);
+  now = 7000;
+  c1.increment(4);
+  await c1.db.close();
+  c1.lock.release();
+
+  // Recovered from the log
+  const c2 = new WindowedCounter(opts);
+  await c2.init();
+  assert.strictEqual(c2.getValue(), 7);
+  await c2.close();
+
+  // Recovered from SQLite
+  const c3 = new WindowedCounter(opts);
+  await c3.init();
+  assert.strictEqual(c3.getValue(), 7);
+  now = 15500; // The 5s bucket expired
+  assert.strictEqual(c3.getValue(), 4);
+  await c3.close();
+});
+
+// Test 45: Manager windowed counter
+await test("Window: Manager setupWindow", async () => {
+  const hits = await counter.setupWindow("test-mgr-45", { window: 60000, buckets: 6, mode: "sync" });
+  hits();
+  hits();
+  assert.strictEqual(hits.value, 2);
+  assert.strictEqual(hits.buckets.length, 6);
+  await hits.reset();
+  assert.strictEqual(hits.value, 0);
+  await counter.closeAll();
+});
+
+console.log("\n📈 HISTORY TESTS");
+
+// Test 46: Every flush records a snapshot, with rates between them
+await test("History: Snapshots on flush", async () => {
+  let now = 1000;
+  const c = new ThreeStateCounter({
+    dbPath: "test-hist-46.db", logPath: "test-hist-46.log", mode: "sync",
+    flushEvery: 100, history: { clock: () => now },
+  });
+  await c.init();
+
+  c.increment(10);
+  await c.flush();
+  now = 3000;
+  c.increment(4);
+  await c.flush();
+
+  assert.deepStrictEqual(await c.getHistory({ from: 0, to: 5000 }), [
+    { ts: 1000, value: 10, rate: null },
+    { ts: 3000, value: 14, rate: 2 },
+  ]);
+  await c.close();
+
+  // History is kept across restarts
+  const c2 = new ThreeStateCounter({
+    dbPath: "test-hist-46.db", logPath: "test-hist-46.log", mode: "sync",
+    history: { clock: () => now },
+  });
+  await c2.init();
+  assert.strictEqual((await c2.getHistory({ from: 0, to: 5000 })).length, 2);
+  await c2.close();
+});
+
+// Test 47: Stepped queries fall back to rollups once raw data has expired
+await test("History: Rollups and retention", async () => {
+  const minute = 60000;
+  let now = 0;
+  const c = new ThreeStateCounter({
+    dbPath: "test-hist-47.db", logPath: "test-hist-47.log", mode: "sync",
+    history: { clock: () => now, retention: { raw: 5 * minute } },
+  });
+  await c.init();
+
+  for (let i = 0; i < 10; i++) {
+    now = i * minute + 30000; // Twice per minute
+    await c.history.record(i * 60);
+    now += 10000;
+    await c.history.record(i * 60 + 30);
+  }
+
+  // Raw snapshots older than five minutes are gone
+  const oldest = await c.db.get(
+    "SELECT MIN(ts) AS ts FROM counter_history WHERE resolution = 0"
+  );
+  assert.strictEqual(oldest.ts, now - 5 * minute);
+
+  // Minute rollups hold the last value of each minute
+  const points = await c.getHistory({ from: 0, to: 9 * minute, step: 3 * minute });
+  assert.deepStrictEqual(
+    points.map((p) => [p.value, p.rate]),
+    [[30, null], [210, 1], [390, 1], [570, 1]]
+  );
+  await assert.rejects(() => c.getHistory({ from: 0, to: now, step: 0 }));
+  await c.close();
+});
+
+// Test 48: Manager counters expose getHistory(); disabled by default
+await test("History: Manager getHistory", async () => {
+  const plain = await counter.setup("test-hist-48a", 0, 1, 10, "sync");
+  await assert.rejects(() => plain.getHistory(), /not enabled/);
+
+  await counter.useSharedStore({ dbPath: "test-hist-48.db", logPath: "test-hist-48.log" });
+  const shared = await counter.setup("test-hist-48b", 0, 5, 10, "sync", { history: true });
+  shared();
+  await shared.flush();
+  const history = await shared.getHistory();
+  assert.strictEqual(history.length, 1);
+  assert.strictEqual(history[0].value, 5);
+  await counter.closeAll();
+  counter.useSharedStore(null);
+});
+
+console.log("\n👪 FAMILY TESTS");
+
+// Test 49: Cold keys are evicted and reload with their values
+await test("Family: LRU eviction and lazy loading", async () => {
+  const store = new SharedStore({ dbPath: "test-fam-49.db", logPath: "test-fam-49.log" });
+  await store.init();
+  const quota = new CounterFamily("quota", { store, maxKeys: 2, mode: "sync" });
+
+  await quota.incr("a", 5);
+  await quota.incr("b");
+  await quota.get("a"); // "b" is now the least recently used
+  await quota.incr("c", 3);
+  assert.strictEqual(quota.size, 2);
+  assert.deepStrictEqual([...quota.loaded.keys()], ["a", "c"]);
+
+  assert.strictEqual(await quota.incr("b"), 2); // Reloaded from SQLite
+  assert.deepStrictEqual(await quota.entries(), [["a", 5], ["b", 2], ["c", 3]]);
+
+  // Evictions don't flush one by one; the next flush persists them all
+  let flushes = 0;
+  const flush = store._flush.bind(store);
+  store._flush = () => {
+    flushes++;
+    return flush();
+  };
+  for (let i = 0; i < 20; i++) await quota.incr(`k${i}`, i);
+  assert.strictEqual(flushes, 0);
+  assert.strictEqual(await quota.get("k3"), 3); // Reloaded before it was persisted
+  assert.strictEqual((await quota.entries()).length, 23);
+  await quota.flush();
+  assert.strictEqual(flushes, 1);
+  assert.strictEqual(store.detached.size, 0);
+  const row = await store.db.get("SELECT value FROM counters WHERE name = ?", "quota:k19");
+  assert.strictEqual(row.value, 19);
+
+  await quota.close();
+  await store.close();
+});
+
+// Test 50: Keys recover from the log like single counters
+await test("Family: Crash recovery", async () => {
+  const opts = { dbPath: "test-fam-50.db", logPath: "test-fam-50.log" };
+  const store = new SharedStore(opts);
+  await store.init();
+  const quota = new CounterFamily("quota", { store, maxKeys: 10, flushEvery: 100, mode: "sync" });
+  await quota.incr("x", 7);
+  await quota.incr("y", 2);
+  await quota.incr("x", 1);
+
+  // Crash without flushing
+  await store.db.close();
+  store.lock.release();
+
+  const store2 = new SharedStore(opts);
+  await store2.init();
+  const quota2 = new CounterFamily("quota", { store: store2 });
+  assert.strictEqual(await quota2.get("x"), 8);
+  assert.strictEqual(await quota2.get("y"), 2);
+  await quota2.close();
+  await store2.close();
+});
+
+// Test 51: Manager families; concurrent first uses load a key once
+await test("Family: Manager family", async () => {
+  const quota = await counter.family("test-fam-51", { maxKeys: 100 });
+  assert.strictEqual(await counter.family("test-fam-51"), quota);
+
+  await Promise.all([quota.incr("k"), quota.incr("k"), quota.incr("k", 3)]);
+  assert.strictEqual(await quota.get("k"), 5);
+  await counter.flushAll();
+
+  const row = await quota.store.db.get("SELECT value FROM counters WHERE name = ?", "test-fam-51:k");
+  assert.strictEqual(row.value, 5);
+  await counter.closeAll();
+  assert.strictEqual(fs.existsSync("test-fam-51.db.lock"), false);
+});
+
+console.log("\n📊 METRICS TESTS");
+
+// Test 52: Prometheus text groups labelled counters under one name
+await test("Metrics: Prometheus text format", async () => {
+  const get = await counter.setup("test-met-52a", 0, 1, 10, "sync", {
+    metric: { name: "http_requests", help: "HTTP requests.", labels: { method: "GET" } },
+  });
+  const post = await counter.setup("test-met-52b", 0, 1, 10, "sync", {
+    metric: { name: "http_requests", labels: { method: "POST" } },
+  });
+  const temp = await counter.setup("test-met-52-temp", 0, 1, 10, "sync", {
+    metric: { type: "gauge", help: 'Line one\nsays "hi"' },
+  });
+  get();
+  get();
+  post();
+  temp();
+
+  const created = counter.configs["test-met-52a"].created / 1000;
+  const createdPost = counter.configs["test-met-52b"].created / 1000;
+  assert.strictEqual(
+    counter.metrics(),
+    [
+      "# HELP http_requests_total HTTP requests.",
+      "# TYPE http_requests_total counter",
+      'http_requests_total{method="GET"} 2',
+      'http_requests_total{method="POST"} 1',
+      "# HELP http_requests_created HTTP requests.",
+      "# TYPE http_requests_created gauge",
+      `http_requests_created{method="GET"} ${created}`,
+      `http_requests_created{method="POST"} ${createdPost}`,
+      "# HELP test_met_52_temp Line one\\nsays \"hi\"",
+      "# TYPE test_met_52_temp gauge",
+      "test_met_52_temp 1",
+      "",
+    ].join("\n")
+  );
+  await counter.closeAll();
+});
+
+// Test 53: OpenMetrics names families without _total and ends with EOF
+await test("Metrics: OpenMetrics format", async () => {
+  await counter.setup("test-met-53_total", 5, 1, 10, "sync", {
+    metric: { labels: { queue: 'a"b' } },
+  });
+  const created = counter.configs["test-met-53_total"].created / 1000;
+
+  assert.strictEqual(
+    counter.metrics({ format: "openmetrics" }),
+    [
+      "# TYPE test_met_53 counter",
+      'test_met_53_total{queue="a\\"b"} 5',
+      `test_met_53_created{queue="a\\"b"} ${created}`,
+      "# EOF",
+      "",
+    ].join("\n")
+  );
+  assert.throws(() => counter.metrics({ format: "json" }));
+  await counter.closeAll();
+});
+
+// Test 54: The handler serves either format over HTTP
+await test("Metrics: HTTP handler", async () => {
+  const hits = await counter.setup("test-met-54", 0, 1, 10, "sync");
+  hits();
+
+  const server = http.createServer(counter.metricsHandler());
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}/metrics`;
+
+  try {
+    const plain = await fetch(url);
+    assert.match(plain.headers.get("content-type"), /^text\/plain; version=0\.0\.4/);
+    assert.match(await plain.text(), /^test_met_54_total 1$/m);
+
+    const om = await fetch(url, {
+      headers: { Accept: "application/openmetrics-text; version=1.0.0" },
+    });
+    assert.match(om.headers.get("content-type"), /^application\/openmetrics-text/);
+    assert.match(await om.text(), /# EOF\n$/);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    await counter.closeAll();
+  }
+});
+
+console.log("\n🔔 EVENT TESTS");
+
+// Test 55: change, flush and recovered events
+await test("Events: change, flush and recovered", async () => {
+  const opts = { dbPath: "test-evt-55.db", logPath: "test-evt-55.log", flushEvery: 100, mode: "sync" };
+  const c = new ThreeStateCounter(opts);
+  const changes = [];
+  const flushes = [];
+  c.on("change", (e) => changes.push(e));
+  c.on("flush", (e) => flushes.push(e));
+  await c.init();
+
+  c.increment(3);
+  c.decrement();
+  assert.deepStrictEqual(changes, [
+    { value: 3, previous: 0, delta: 3 },
+    { value: 2, previous: 3, delta: -1 },
+  ]);
+  await c.flush();
+  assert.deepStrictEqual(flushes, [{ value: 2, seq: 2 }]);
+  c.increment(5);
+  await c.db.close(); // Crash
+  c.lock.release();
+
+  const c2 = new ThreeStateCounter(opts);
+  let recovered = null;
+  c2.on("recovered", (r) => (recovered = r));
+  await c2.init();
+  assert.strictEqual(recovered.replayed, 1);
+  assert.strictEqual(c2.getValue(), 7);
+  await c2.close();
+
+  // Managed counters are returned after init(): they keep the result
+  const m1 = new CounterManager();
+  const hits = await m1.setup("test-evt-55m", 0, 1, 100, "sync");
+  assert.strictEqual(hits.recovery, null);
+  hits();
+  hits();
+  await m1.instances["test-evt-55m"].db.close(); // Crash
+  m1.instances["test-evt-55m"].lock.release();
+  const m2 = new CounterManager();
+  const hits2 = await m2.setup("test-evt-55m", 0, 1, 100, "sync");
+  assert.strictEqual(hits2.recovery.replayed, 2);
+  await m2.closeAll();
+
+  // Shared counters report the replay of the shared log
+  const shared = { dbPath: "test-evt-55s.db", logPath: "test-evt-55s.log" };
+  const s1 = new SharedStore(shared);
+  await s1.init();
+  const x1 = new ThreeStateCounter({ name: "x", store: s1, flushEvery: 100, mode: "sync" });
+  await x1.init();
+  x1.increment(4);
+  await s1.db.close();
+  s1.lock.release();
+
+  const s2 = new SharedStore(shared);
+  await s2.init();
+  const x2 = new ThreeStateCounter({ name: "x", store: s2, flushEvery: 100, mode: "sync" });
+  let sharedRecovered = null;
+  x2.on("recovered", (r) => (sharedRecovered = r));
+  await x2.init();
+  assert.deepStrictEqual(sharedRecovered, { replayed: 1, skipped: 0, discarded: null });
+  assert.strictEqual(x2.recovery, sharedRecovered);
+  await s2.close();
+});
+
+// Test 56: Threshold and every-n watchers
+await test("Events: onThreshold and onEvery", async () => {
+  const c = new ThreeStateCounter({ dbPath: "test-evt-56.db", logPath: "test-evt-56.log", mode: "sync" });
+  await c.init();
+
+  const crossed = [];
+  const steps = [];
+  const stop = c.onThreshold(10, (v) => crossed.push(v));
+  c.onEvery(5, (v) => steps.push(v));
+
+  c.increment(4); // 4
+  c.increment(8); // 12: crosses 10 and 5, 10
+  c.increment(1); // 13
+  c.decrement(4); // 9: back below 10
+  stop();
+  c.increment(6); // 15
+
+  assert.deepStrictEqual(crossed, [12, 9]);
+  assert.deepStrictEqual(steps, [12, 9, 15]);
+  assert.throws(() => c.onEvery(0, () => {}));
+  await c.close();
+});
+
+// Test 57: watch() yields each value and ends on close
+await test("Events: Manager watch() iterator", async () => {
+  const c = await counter.setup("test-evt-57", 0, 2, 10, "async");
+  const seen = [];
+  const done = (async () => {
+    for await (const value of c.watch()) seen.push(value);
+  })();
+
+  c();
+  c();
+  await c.reset(100);
+  c();
+  const instance = counter.instances["test-evt-57"];
+  await counter.closeAll();
+  await done;
+  assert.deepStrictEqual(seen, [2, 4, 100, 102]);
+  assert.strictEqual(instance.listenerCount("change"), 0);
+});
+
+console.log("\n🚰 BACKPRESSURE TESTS");
+
+// Test 58: "block" holds operations until a write makes room
+await test("Backpressure: Block until the log is writable", async () => {
+  const logPath = "test-bp-58.log";
+  fs.mkdirSync(logPath); // Appends fail with EISDIR, like a full disk
+  const errors = [];
+  const logger = { error: (...args) => errors.push(args) };
+
+  const c = new ThreeStateCounter({
+    dbPath: "test-bp-58.db", logPath, mode: "async",
+    maxBuffer: 2, onBufferFull: "block", logger,
+  });
+  await c.init();
+  c.increment();
+  c.increment();
+  const blocked = c.increment(5);
+  assert.ok(blocked instanceof Promise);
+  assert.strictEqual(c.getValue(), 2);
+
+  await new Promise(resolve => setTimeout(resolve, 100));
+  const health = c.health();
+  assert.strictEqual(health.status, "degraded");
+  assert.strictEqual(health.blocked, 1);
+  assert.strictEqual(health.lastError.code, "EISDIR");
+  assert.ok(errors.some(([message]) => message === "Error writing to log (async):"));
+
+  fs.rmdirSync(logPath); // Disk space is back
+  assert.strictEqual(await blocked, 7);
+  assert.strictEqual(c.health().status, "ok");
+  await c.close();
+});
+
+// Test 59: "drop" counts discarded operations, "throw" rejects them
+await test("Backpressure: Drop and throw policies", async () => {
+  const logPath = "test-bp-59.log";
+  fs.mkdirSync(logPath);
+  const c = new ThreeStateCounter({
+    dbPath: "test-bp-59.db", logPath, mode: "async",
+    maxBuffer: 1, onBufferFull: "drop", logger: { error() {} },
+  });
+  await c.init();
+
+  c.increment();
+  c.increment();
+  assert.strictEqual(c.tryIncrement(), false);
+  assert.strictEqual(c.getValue(), 1);
+  assert.strictEqual(c.health().dropped, 2);
+
+  c.onBufferFull = "throw";
+  assert.throws(() => c.increment(), CounterBufferFullError);
+  await assert.rejects(() => c.incrementDurable(), { code: "ECOUNTERBUFFERFULL" });
+
+  fs.rmdirSync(logPath);
+  await new Promise(resolve => setTimeout(resolve, 100));
+  c.increment();
+  await c.close();
+  assert.strictEqual(c.getValue(), 2);
+});
+
+// Test 60: The manager passes its logger and buffer options to counters
+await test("Backpressure: Manager logger and health", async () => {
+  const logger = { error() {} };
+  counter.useLogger(logger);
+  const c = await counter.setup("test-bp-60", 0, 1, 10, "async", { maxBuffer: 100 });
+  assert.strictEqual(counter.instances["test-bp-60"].logger, logger);
+  assert.strictEqual(counter.instances["test-bp-60"].maxBuffer, 100);
+  c();
+  assert.strictEqual(c.health().status, "ok");
+  assert.strictEqual(c.health().buffered, 1);
+  await counter.closeAll();
+  counter.useLogger(null);
+});
+
+console.log("\n⏲️  FLUSH POLICY TESTS");
+
+// Test 61: A quiet counter is flushed once idle
+await test("Flush policy: idleMs", async () => {
+  const c = new ThreeStateCounter({
+    dbPath: "test-fp-61.db", logPath: "test-fp-61.log", mode: "sync",
+    flushEvery: 100, flushPolicy: { idleMs: 40 },
+  });
+  await c.init();
+  for (let i = 0; i < 9; i++) c.increment();
+  assert.strictEqual(c.pending, 9);
+
+  await new Promise(resolve => setTimeout(resolve, 150));
+  assert.strictEqual(c.pending, 0);
+  const row = await c.db.get("SELECT value FROM counter_state WHERE id = 1");
+  assert.strictEqual(row.value, 9);
+  assert.strictEqual(fs.readFileSync("test-fp-61.log", "utf8"), "");
+
+  await c.close();
+  assert.strictEqual(c.schedulerTimer, null);
+});
+
+// Test 62: Hot counters flush by log size and interval, not per op
+await test("Flush policy: maxLogBytes and maxIntervalMs", async () => {
+  const c = new ThreeStateCounter({
+    dbPath: "test-fp-62.db", logPath: "test-fp-62.log", mode: "sync",
+    flushPolicy: { maxOps: Infinity, maxLogBytes: 200 },
+  });
+  await c.init();
+  for (let i = 0; i < 20; i++) c.increment(); // ~20 bytes per record
+  assert.ok(fs.statSync("test-fp-62.log").size >= 200);
+  assert.strictEqual(c.pending, 20); // maxOps no longer flushes
+
+  await new Promise(resolve => setTimeout(resolve, 1100));
+  assert.strictEqual(fs.statSync("test-fp-62.log").size, 0);
+  await c.close();
+
+  const t = new ThreeStateCounter({
+    dbPath: "test-fp-62b.db", logPath: "test-fp-62b.log", mode: "sync",
+    flushPolicy: { maxOps: Infinity, maxIntervalMs: 60 },
+  });
+  await t.init();
+  const flushes = [];
+  t.on("flush", (e) => flushes.push(e));
+  t.increment(3);
+  await new Promise(resolve => setTimeout(resolve, 150));
+  assert.deepStrictEqual(flushes, [{ value: 3, seq: 1 }]);
+  await t.close();
+
+  // 0 disables maxOps like any other trigger
+  const off = new ThreeStateCounter({
+    storage: new MemoryStorage(), log: new MemoryLog(), mode: "sync", flushPolicy: { maxOps: 0 },
+  });
+  await off.init();
+  for (let i = 0; i < 5; i++) off.increment();
+  assert.strictEqual(off.pending, 5);
+  await off.close();
+});
+
+// Test 63: The async batching delay is configurable
+await test("Flush policy: batchDelay", async () => {
+  const c = new ThreeStateCounter({
+    dbPath: "test-fp-63.db", logPath: "test-fp-63.log", mode: "async", batchDelay: 5,
+  });
+  await c.init();
+  c.increment();
+  await new Promise(resolve => setTimeout(resolve, 30)); // Less than the default 50ms
+  assert.match(fs.readFileSync("test-fp-63.log", "utf8"), /^W1 1 1 /);
+  await c.close();
+});
+
+console.log("\n🗄️  STORAGE ADAPTER TESTS");
+
+// Test 64: In-memory adapters recover exactly like the file-based ones
+await test("Storage: Memory adapters", async () => {
+  const storage = new MemoryStorage();
+  const log = new MemoryLog();
+  const opts = { storage, log, flushEvery: 3, mode: "sync" };
+
+  const c1 = new ThreeStateCounter(opts);
+  await c1.init();
+  c1.increment(5);
+  c1.increment(5);
+  c1.increment(5); // Flushed
+  await c1.flushQueue;
+  c1.increment(2);
+  assert.deepStrictEqual(storage.saved, { snapshot: 15, seq: 3 });
+  c1.lock?.release(); // Crash: no close(), and there is no lockfile
+
+  // A torn record at the end is discarded, the intact one replayed
+  log.appendSync(encodeRecord(5, "100").slice(0, 7));
+  const c2 = new ThreeStateCounter(opts);
+  await c2.init();
+  assert.strictEqual(c2.getValue(), 17);
+  assert.strictEqual(c2.recovery.replayed, 1);
+  assert.strictEqual(c2.recovery.discarded.records, 1);
+  assert.strictEqual(log.size(), 0);
+  await c2.close();
+  assert.strictEqual(fs.existsSync("counter.db"), false);
+});
+
+// Test 65: JSON file snapshots, with a crash between save and log cut
+await test("Storage: JSON file adapter", async () => {
+  const opts = () => ({
+    storage: new JsonFileStorage({ path: "test-json-65.json" }),
+    logPath: "test-json-65.log",
+    flushEvery: 100,
+    mode: "sync",
+  });
+
+  const c1 = new ThreeStateCounter(opts());
+  await c1.init();
+  c1.increment(4);
+  c1.increment(6);
+  await c1.storage.save(10, 2); // Snapshot written, log not yet cut
+  c1.lock.release();
+
+  const c2 = new ThreeStateCounter(opts());
+  await c2.init();
+  assert.strictEqual(c2.getValue(), 10); // Not 20
+  assert.strictEqual(c2.recovery.skipped, 2);
+  c2.increment();
+  await c2.close();
+
+  const saved = JSON.parse(fs.readFileSync("test-json-65.json", "utf8"));
+  assert.deepStrictEqual(saved, { version: 1, snapshot: 11, seq: 3 });
+  assert.strictEqual(fs.existsSync("test-json-65.json.lock"), false);
+});
+
+// Test 66: Manager storage option and windowed counters on adapters
+await test("Storage: Manager storage option", async () => {
+  const c = await counter.setup("test-store-66", 7, 1, 10, "sync", { storage: "json" });
+  c();
+  await counter.closeAll();
+  assert.strictEqual(fs.existsSync("test-store-66.db"), false);
+  const again = await counter.setup("test-store-66", 0, 1, 10, "sync", { storage: "json" });
+  assert.strictEqual(again.value, 8);
+  await counter.closeAll();
+
+  await assert.rejects(() => counter.setup("test-store-66b", 0, 1, 10, "sync", { storage: "redis" }));
+
+  let now = 1000;
+  const storage = new MemoryStorage();
+  const log = new MemoryLog();
+  const w1 = new WindowedCounter({ storage, log, window: 10000, buckets: 10, clock: () => now, mode: "sync" });
+  await w1.init();
+  w1.increment(3);
+  await w1.close();
+  const w2 = new WindowedCounter({ storage, log, window: 10000, buckets: 10, clock: () => now, mode: "sync" });
+  await w2.init();
+  assert.strictEqual(w2.getValue(), 3);
+  await w2.close();
+});
+
+console.log("\n🔢 NUMBER TYPE TESTS");
+
+// Test 67: BigInt values stay exact past 2^53, through the log and SQLite
+await test("Numbers: BigInt counter", async () => {
+  const opts = { dbPath: "test-bigint-67.db", logPath: "test-bigint-67.log", numberType: "bigint", flushEvery: 100, mode: "sync" };
+  const big = 2n ** 60n;
+
+  const c1 = new ThreeStateCounter(opts);
+  await c1.init();
+  c1.increment(big);
+  c1.increment(3);
+  await c1.flush();
+  c1.increment(big);
+  c1.decrement(1n);
+  assert.strictEqual(c1.getValue(), 2n * big + 2n);
+  await c1.db.close(); // Crash
+  c1.lock.release();
+
+  const c2 = new ThreeStateCounter(opts);
+  await c2.init();
+  assert.strictEqual(c2.getValue(), 2n * big + 2n);
+  assert.strictEqual(c2.recovery.replayed, 2);
+  await c2.close();
+
+  const c3 = new ThreeStateCounter(opts);
+  await c3.init();
+  assert.strictEqual(c3.value, 2n * big + 2n);
+  assert.throws(() => c3.increment(1.5), TypeError);
+  await c3.close();
+});
+
+// Test 68: Decimals keep their fractional digits across a crash
+await test("Numbers: Decimal counter", async () => {
+  const storage = new MemoryStorage();
+  const log = new MemoryLog();
+  const opts = { storage, log, numberType: "decimal", scale: 2, max: "1.00", onBound: "clamp", mode: "sync" };
+
+  const c1 = new ThreeStateCounter(opts);
+  await c1.init();
+  c1.increment(0.5);
+  c1.increment("0.25");
+  assert.strictEqual(c1.getValue(), "0.75");
+  assert.throws(() => c1.increment("0.001"), TypeError);
+  assert.throws(() => c1.increment(0.1 + 0.2), TypeError); // 0.30000000000000004
+  assert.strictEqual(c1.compareAndSet("0.75", 0.8), true);
+
+  const c2 = new ThreeStateCounter(opts);
+  await c2.init();
+  assert.strictEqual(c2.getValue(), "0.80");
+  c2.increment(1); // Clamped at max
+  assert.strictEqual(c2.getValue(), "1.00");
+  assert.strictEqual(c2.incrementIfBelow("1.00", "0.01"), false);
+  await c2.close();
+  assert.deepStrictEqual(storage.saved, { snapshot: "1.00", seq: 4 });
+});
+
+// Test 69: Invalid deltas are rejected before they reach the log
+await test("Numbers: Delta validation", async () => {
+  const c = new ThreeStateCounter({ dbPath: "test-numbers-69.db", logPath: "test-numbers-69.log", mode: "sync" });
+  await c.init();
+  c.increment(Number.MAX_SAFE_INTEGER - 1);
+  for (const bad of [0.5, NaN, Infinity, "5", 5n, null]) {
+    assert.throws(() => c.increment(bad), TypeError);
+  }
+  assert.throws(() => c.increment(2), RangeError); // Beyond 2^53
+  assert.strictEqual(c.getValue(), Number.MAX_SAFE_INTEGER - 1);
+  assert.strictEqual(fs.readFileSync("test-numbers-69.log", "utf8").split("\n").length, 2);
+  await c.close();
+
+  assert.throws(() => new ThreeStateCounter({ numberType: "float" }), /numberType/);
+
+  const d = await counter.setup("test-numbers-69b", "10.5", "0.25", 10, "sync", { numberType: "decimal" });
+  assert.strictEqual(d(), "10.75");
+  await counter.closeAll();
+});
+
+console.log("\n🛠️  CLI TESTS");
+
+// Runs the command line tool in-process, capturing its output
+async function cli(...args) {
+  let stdout = "";
+  let stderr = "";
+  const code = await runCli(args, {
+    stdout: { write: (text) => (stdout += text) },
+    stderr: { write: (text) => (stderr += text) },
+  });
+  return { code, stdout, stderr };
+}
+
+// Test 70: get/list/export report what init() would recover, read-only
+await test("CLI: Inspect without changing files", async () => {
+  const c = new ThreeStateCounter({ dbPath: "test-cli-70.db", logPath: "test-cli-70.log", flushEvery: 100, mode: "sync" });
+  await c.init();
+  c.increment(4);
+  await c.flush();
+  c.increment(3); // Only in the log
+
+  // Works while the owner still holds the lock
+  const log = fs.readFileSync("test-cli-70.log", "utf8");
+  assert.deepStrictEqual(await cli("get", "test-cli-70"), { code: 0, stdout: "7\n", stderr: "" });
+  const listed = await cli("list", "--json");
+  assert.deepStrictEqual(
+    JSON.parse(listed.stdout).find((row) => row.name === "test-cli-70"),
+    { name: "test-cli-70", value: 7, pending: 1 }
+  );
+  const exported = await cli("export", "test-cli-70");
+  assert.deepStrictEqual(JSON.parse(exported.stdout), [{ name: "test-cli-70", value: 7 }]);
+  assert.strictEqual(fs.readFileSync("test-cli-70.log", "utf8"), log);
+
+  // Changing the files needs the lock
+  const set = await cli("set", "test-cli-70", "0");
+  assert.strictEqual(set.code, 1);
+  assert.match(set.stderr, /locked/);
+  await c.close();
+
+  assert.strictEqual((await cli("get", "test-cli-71-missing")).code, 1);
+  assert.strictEqual((await cli("frobnicate")).code, 2);
+});
+
+// Test 71: verify finds corrupt records; replay applies the good ones
+await test("CLI: Verify and replay", async () => {
+  const c = new ThreeStateCounter({ dbPath: "test-cli-71.db", logPath: "test-cli-71.log", flushEvery: 100, mode: "sync" });
+  await c.init();
+  c.increment(2);
+  c.increment(5);
+  await c.db.close(); // Crash
+  c.lock.release();
+
+  const ok = await cli("verify", "test-cli-71", "--json");
+  assert.strictEqual(ok.code, 0);
+  assert.deepStrictEqual(JSON.parse(ok.stdout), {
+    name: "test-cli-71", ok: true, stored: 0, seq: 0, value: 7, pending: 2, skipped: 0, problems: [],
+  });
+
+  fs.appendFileSync("test-cli-71.log", `${encodeRecord(3, "1").slice(0, -1)}0\n`);
+  const bad = await cli("verify", "test-cli-71");
+  assert.strictEqual(bad.code, 1);
+  assert.match(bad.stdout, /PROBLEMS FOUND[\s\S]*1 torn or corrupt record/);
+
+  const replayed = await cli("replay", "test-cli-71");
+  assert.strictEqual(replayed.code, 0);
+  assert.match(replayed.stdout, /replayed 2 record\(s\)/);
+  assert.strictEqual(fs.readFileSync("test-cli-71.log", "utf8"), "");
+  assert.strictEqual((await cli("get", "test-cli-71")).stdout, "7\n");
+});
+
+// Test 72: set, reset and compact go through the locked, replayed counter
+await test("CLI: Set, reset and compact", async () => {
+  const c = new ThreeStateCounter({ dbPath: "test-cli-72.db", logPath: "test-cli-72.log", numberType: "bigint", mode: "sync" });
+  await c.init();
+  c.increment(1);
+  await c.close();
+
+  const set = await cli("set", "test-cli-72", "123456789012345678901", "--number-type", "bigint");
+  assert.strictEqual(set.stdout, "test-cli-72: 1 -> 123456789012345678901\n");
+  const got = await cli("get", "test-cli-72", "--number-type", "bigint", "--json");
+  assert.strictEqual(JSON.parse(got.stdout).value, "123456789012345678901");
+
+  assert.strictEqual((await cli("compact", "test-cli-72", "--number-type", "bigint")).code, 0);
+  assert.strictEqual((await cli("reset", "test-cli-72", "--number-type", "bigint")).code, 0);
+
+  const c2 = new ThreeStateCounter({ dbPath: "test-cli-72.db", logPath: "test-cli-72.log", numberType: "bigint", mode: "sync" });
+  await c2.init();
+  assert.strictEqual(c2.getValue(), 0n);
+  c2.increment(9007199254741001n);
+  await c2.flush();
+  c2.increment(2n); // Only in the log
+  await c2.close();
+
+  // Without --number-type, the type comes from the files
+  assert.strictEqual((await cli("replay", "test-cli-72")).code, 0);
+  assert.strictEqual((await cli("get", "test-cli-72")).stdout, "9007199254741003\n");
+  const asInteger = await cli("replay", "test-cli-72", "--number-type", "integer");
+  assert.strictEqual(asInteger.code, 1);
+  assert.match(asInteger.stderr, /holds the exact value 9007199254741003/);
+
+  const d = new ThreeStateCounter({ dbPath: "test-cli-72d.db", logPath: "test-cli-72d.log", numberType: "decimal", scale: 3, mode: "sync" });
+  await d.init();
+  d.increment("1.125");
+  await d.close(); // The scale comes from the stored value
+  assert.strictEqual((await cli("get", "test-cli-72d")).stdout, "1.125\n");
+
+  const dl = new ThreeStateCounter({ dbPath: "test-cli-72l.db", logPath: "test-cli-72l.log", numberType: "decimal", mode: "sync" });
+  await dl.init();
+  dl.increment("0.5");
+  await dl.db.close(); // Crash: the value is only in the log
+  dl.lock.release();
+  assert.match((await cli("replay", "test-cli-72l")).stderr, /not integers; use --number-type/);
+  assert.strictEqual((await cli("replay", "test-cli-72l", "--number-type", "decimal")).code, 0);
+  assert.strictEqual((await cli("get", "test-cli-72l")).stdout, "0.50\n");
+
+  // Shared stores are reported, not listed or opened
+  const s = new SharedStore({ dbPath: "test-cli-72s.db", logPath: "test-cli-72s.log" });
+  await s.init();
+  await s.close();
+  const listed = await cli("list");
+  assert.match(listed.stderr, /Skipping test-cli-72s\.db: a shared-store or family database/);
+  assert.doesNotMatch(listed.stdout, /test-cli-72s/);
+  assert.match((await cli("get", "test-cli-72s")).stderr, /doesn't support/);
+});
+
+console.log("\n💾 BACKUP & EXPORT TESTS");
+
+// Test 73: Online backup of running counters, families and JSON storage
+await test("Backup: Consistent snapshot while running", async () => {
+  const dir = "test-backup-73";
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  const a = await counter.setup("test-backup-73a", 0, 1, 100, "async");
+  const b = await counter.setup("test-backup-73b", 0, 2, 100, "sync", { storage: "json" });
+  const fam = await counter.family("test-backup-73f", { mode: "sync" });
+  for (let i = 0; i < 5; i++) a();
+  b();
+  await fam.incr("x", 3);
+
+  const manifest = await counter.backup(dir);
+  assert.deepStrictEqual([...manifest.files].sort(), [
+    "test-backup-73a.db",
+    "test-backup-73b.json",
+    "test-backup-73f.db",
+  ]);
+  a(); // After the backup
+  await counter.closeAll();
+
+  // The copies need no log
+  const restored = new ThreeStateCounter({ dbPath: `${dir}/test-backup-73a.db`, logPath: `${dir}/a.log` });
+  await restored.init();
+  assert.strictEqual(restored.getValue(), 5);
+  await restored.close();
+
+  const json = JSON.parse(fs.readFileSync(`${dir}/test-backup-73b.json`, "utf8"));
+  assert.strictEqual(json.snapshot, 2);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(`${dir}/manifest.json`, "utf8")), manifest);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Test 74: Export and import round trip, with configs and number types
+await test("Backup: Export and import", async () => {
+  const a = await counter.setup("test-export-74a", 10, 5, 20, "sync");
+  const b = await counter.setup("test-export-74b", 0, 1, 10, "sync", { numberType: "bigint" });
+  const c = await counter.setup("test-export-74c", "1.5", "0.25", 10, "sync", { numberType: "decimal", scale: 3 });
+  b.tryIncrement(2n ** 70n);
+
+  const json = counter.export();
+  const csv = counter.export({ format: "csv" });
+  assert.strictEqual(
+    csv.split("\n")[2],
+    "test-export-74b,1180591620717411303424,1,10,sync,bigint,"
+  );
+  a();
+  c();
+  await counter.closeAll();
+
+  for (const [data, format] of [[json, "json"], [csv, "csv"]]) {
+    const names = await counter.import(data, { format });
+    assert.deepStrictEqual(names, ["test-export-74a", "test-export-74b", "test-export-74c"]);
+    assert.strictEqual(counter["test-export-74a"].value, 10);
+    assert.strictEqual(counter["test-export-74b"].value, 2n ** 70n);
+    assert.strictEqual(counter["test-export-74c"].value, "1.500");
+    assert.strictEqual(counter["test-export-74c"](), "1.750"); // Jump came along
+    assert.deepStrictEqual(
+      [counter.configs["test-export-74a"].jump, counter.configs["test-export-74a"].flushEvery],
+      [5, 20]
+    );
+    await counter.closeAll();
+  }
+});
+
+// Test 75: CSV quoting and malformed input
+await test("Backup: CSV parsing", async () => {
+  const csv = 'name,value,mode\r\n"test-export-75",7,"sync"\r\n';
+  assert.deepStrictEqual(await counter.import(csv, { format: "csv" }), ["test-export-75"]);
+  assert.strictEqual(counter.export({ format: "csv" }).split("\n")[1], "test-export-75,7,1,10,sync,integer,");
+  await counter.closeAll();
+
+  // Quoted commas and quotes are parsed, but such a name is refused
+  const unsafe = 'name,value\n"../test-export-75,""q""",1\n';
+  await assert.rejects(() => counter.import(unsafe, { format: "csv" }), /Invalid counter name "\.\.\/test-export-75,\\"q\\""/);
+
+  await assert.rejects(() => counter.import("value\n1\n", { format: "csv" }), /header/);
+  await assert.rejects(() => counter.import("{}"), /counters/);
+  assert.throws(() => counter.export({ format: "xml" }), /format/);
+});
+
+console.log("\n📒 LEDGER TESTS");
+
+// Test 76: Ledger entries outlive flushes and are rebuilt from the log
+await test("Ledger: Survives flush and crash", async () => {
+  const opts = { dbPath: "test-ledger-76.db", logPath: "test-ledger-76.log", ledger: true, flushEvery: 2, mode: "sync" };
+  const before = Date.now();
+
+  const c1 = new ThreeStateCounter(opts);
+  await c1.init();
+  c1.increment(100, { reason: "purchase", actor: "alice", ref: "order-1" });
+  c1.decrement(30, { reason: "spend", actor: "bob" }); // Flushed
+  await c1.flushQueue;
+  c1.increment(5, { actor: "alice" }); // Only in the log
+  await c1.db.close(); // Crash
+  c1.lock.release();
+
+  const c2 = new ThreeStateCounter(opts);
+  await c2.init();
+  assert.strictEqual(c2.getValue(), 75);
+  const { entries, next } = await c2.getLedger();
+  assert.strictEqual(next, null);
+  assert.deepStrictEqual(
+    entries.map(({ delta, reason, actor, ref }) => [delta, reason, actor, ref]),
+    [
+      [100, "purchase", "alice", "order-1"],
+      [-30, "spend", "bob", null],
+      [5, null, "alice", null],
+    ]
+  );
+  assert.ok(entries.every(({ ts }) => ts >= before && ts <= Date.now()));
+  assert.deepStrictEqual(await c2.reconcileLedger(), { value: 75, balance: 75, difference: 0, ok: true });
+  c2.increment(2, { actor: "carol" }); // Only in the log
+  await c2.db.close(); // Crash
+  c2.lock.release();
+
+  // The command line tool replays into the ledger, and records what it sets
+  assert.strictEqual((await cli("replay", "test-ledger-76")).code, 0);
+  assert.strictEqual((await cli("set", "test-ledger-76", "50")).code, 0);
+  const c3 = new ThreeStateCounter(opts);
+  await c3.init();
+  assert.deepStrictEqual(
+    (await c3.getLedger()).entries.slice(-2).map(({ delta, reason, actor }) => [delta, reason, actor]),
+    [[2, null, "carol"], [-27, "reset", null]]
+  );
+  assert.deepStrictEqual(await c3.reconcileLedger(), { value: 50, balance: 50, difference: 0, ok: true });
+  await c3.close();
+});
+
+// Test 77: Paging through the ledger by actor and time range
+await test("Ledger: Query by actor and time", async () => {
+  const c = new ThreeStateCounter({ dbPath: "test-ledger-77.db", logPath: "test-ledger-77.log", ledger: true, mode: "sync" });
+  await c.init();
+  for (let i = 1; i <= 5; i++) {
+    c.increment(i, { actor: i % 2 ? "alice" : "bob", ref: `op-${i}` });
+  }
+
+  const page1 = await c.getLedger({ actor: "alice", limit: 2 });
+  assert.deepStrictEqual(page1.entries.map((e) => e.ref), ["op-1", "op-3"]);
+  const page2 = await c.getLedger({ actor: "alice", limit: 2, after: page1.next });
+  assert.deepStrictEqual(page2.entries.map((e) => e.ref), ["op-5"]);
+  assert.strictEqual(page2.next, null);
+
+  const all = (await c.getLedger()).entries;
+  const late = await c.getLedger({ from: all[3].ts + 1 });
+  assert.ok(late.entries.every((e) => e.ts > all[3].ts));
+  assert.strictEqual((await c.getLedger({ to: 0 })).entries.length, 0);
+  await assert.rejects(() => c.getLedger({ limit: 0 }), /limit/);
+  await c.close();
+
+  const plain = new ThreeStateCounter({ dbPath: "test-ledger-77b.db", logPath: "test-ledger-77b.log", mode: "sync" });
+  await plain.init();
+  assert.throws(() => plain.increment(1, { reason: "x" }), /ledger: true/);
+  await assert.rejects(() => plain.getLedger(), /not enabled/);
+  await plain.close();
+});
+
+// Test 78: Reconciliation, opening balances and managed counters
+await test("Ledger: Reconcile and manager", async () => {
+  // A counter that gains a ledger later opens it with its value
+  const old = new ThreeStateCounter({ dbPath: "test-ledger-78.db", logPath: "test-ledger-78.log", mode: "sync" });
+  await old.init();
+  old.increment(10);
+  await old.close();
+
+  const credits = await counter.setup("test-ledger-78", 0, 5, 10, "sync", { ledger: true });
+  credits({ reason: "bonus", actor: "system" });
+  await credits.reset(50);
+  const { entries } = await credits.getLedger();
+  assert.deepStrictEqual(
+    entries.map(({ delta, reason }) => [delta, reason]),
+    [[10, "opening balance"], [5, "bonus"], [35, "reset"]]
+  );
+  assert.strictEqual((await credits.reconcileLedger()).ok, true);
+
+  // Tampering shows up as a difference
+  await counter.instances["test-ledger-78"].db.run("DELETE FROM counter_ledger WHERE delta = 5");
+  assert.deepStrictEqual(await credits.reconcileLedger(), { value: 50, balance: 45, difference: 5, ok: false });
+
+  const seeded = await counter.setup("test-ledger-78b", 1000, 1, 10, "sync", { ledger: true });
+  seeded({ actor: "alice" });
+  assert.deepStrictEqual((await seeded.getLedger()).entries.map((e) => [e.delta, e.reason]), [[1000, "initial value"], [1, null]]);
+  assert.strictEqual((await seeded.reconcileLedger()).ok, true);
+  await counter.closeAll();
+});
+
+console.log("\n🔁 IDEMPOTENCY TESTS");
+
+// Test 79: A repeated key changes nothing and returns the first result
+await test("Idempotency: Duplicate key is a no-op", async () => {
+  const c = new ThreeStateCounter({ dbPath: "test-idem-79.db", logPath: "test-idem-79.log", idempotency: true, mode: "sync" });
+  await c.init();
+  assert.strictEqual(c.increment(10, { idempotencyKey: "pay-1" }), 10);
+  assert.strictEqual(c.increment(5), undefined);
+  assert.strictEqual(c.increment(10, { idempotencyKey: "pay-1" }), 10);
+  assert.strictEqual(c.getValue(), 15);
+
+  assert.strictEqual(c.tryIncrement(1, { idempotencyKey: "pay-2" }), true);
+  assert.strictEqual(c.tryIncrement(1, { idempotencyKey: "pay-2" }), true);
+  assert.strictEqual(await c.incrementDurable(3, { idempotencyKey: "pay-3" }), 19);
+  assert.strictEqual(await c.incrementDurable(3, { idempotencyKey: "pay-3" }), 19);
+  assert.strictEqual(c.decrement(4, { idempotencyKey: "refund-1" }), 15);
+  assert.strictEqual(c.decrement(4, { idempotencyKey: "refund-1" }), 15);
+  assert.strictEqual(c.getValue(), 15);
+
+  assert.throws(() => c.increment(1, { idempotencyKey: "" }), /non-empty string/);
+  assert.throws(() => c.increment(1, { reason: "x" }), /ledger: true/);
+  await c.close();
+
+  const plain = new ThreeStateCounter({ dbPath: "test-idem-79b.db", logPath: "test-idem-79b.log", mode: "sync" });
+  await plain.init();
+  assert.throws(() => plain.increment(1, { idempotencyKey: "a" }), /idempotency enabled/);
+  await plain.close();
+  assert.throws(() => new ThreeStateCounter({ name: "x", store: { log: new MemoryLog() }, idempotency: true }), /shared store/);
+});
+
+// Test 80: Keys survive a crash, both flushed and only in the log
+await test("Idempotency: Survives flush and crash", async () => {
+  const opts = { dbPath: "test-idem-80.db", logPath: "test-idem-80.log", idempotency: true, ledger: true, flushEvery: 2, mode: "sync" };
+
+  const c1 = new ThreeStateCounter(opts);
+  await c1.init();
+  c1.increment(100, { idempotencyKey: "a", reason: "webhook" });
+  c1.increment(50, { idempotencyKey: "b" }); // Flushed
+  await c1.flushQueue;
+  c1.increment(7, { idempotencyKey: "c" }); // Only in the log
+  await c1.db.close(); // Crash
+  c1.lock.release();
+
+  const c2 = new ThreeStateCounter(opts);
+  await c2.init();
+  assert.strictEqual(c2.getValue(), 157);
+  assert.strictEqual(c2.increment(100, { idempotencyKey: "a" }), 100);
+  assert.strictEqual(c2.increment(50, { idempotencyKey: "b" }), 150);
+  assert.strictEqual(c2.increment(7, { idempotencyKey: "c" }), 157);
+  assert.strictEqual(c2.getValue(), 157);
+  assert.strictEqual((await c2.getLedger()).entries[0].reason, "webhook");
+  assert.strictEqual((await c2.reconcileLedger()).ok, true);
+  await c2.close();
+
+  // The replayed key went to SQLite with the snapshot
+  const c3 = new ThreeStateCounter(opts);
+  await c3.init();
+  assert.strictEqual(c3.increment(7, { idempotencyKey: "c" }), 157);
+  assert.strictEqual(c3.getValue(), 157);
+  c3.increment(3, { idempotencyKey: "d" }); // Only in the log
+  await c3.db.close(); // Crash
+  c3.lock.release();
+
+  // The command line tool keeps the keys of the records it replays
+  assert.strictEqual((await cli("replay", "test-idem-80")).code, 0);
+  const c4 = new ThreeStateCounter(opts);
+  await c4.init();
+  assert.strictEqual(c4.increment(3, { idempotencyKey: "d" }), 160);
+  assert.strictEqual(c4.increment(100, { idempotencyKey: "a" }), 100);
+  assert.strictEqual(c4.getValue(), 160);
+  await c4.close();
+});
+
+// Test 81: Keys expire after the retention window; managed counters
+await test("Idempotency: Retention and manager", async () => {
+  const opts = { dbPath: "test-idem-81.db", logPath: "test-idem-81.log", idempotency: { retention: 50 }, mode: "sync" };
+  const c1 = new ThreeStateCounter(opts);
+  await c1.init();
+  c1.increment(1, { idempotencyKey: "k" });
+  await new Promise((resolve) => setTimeout(resolve, 80));
+  assert.strictEqual(c1.increment(1, { idempotencyKey: "k" }), 2);
+  await c1.close();
+
+  const c2 = new ThreeStateCounter(opts);
+  await c2.init();
+  assert.strictEqual(c2.seenKeys.size, 1); // The expired first use was forgotten
+  await new Promise((resolve) => setTimeout(resolve, 80));
+  await c2.flush();
+  const rows = await c2.db.all("SELECT key FROM counter_idempotency");
+  assert.strictEqual(rows.length, 0);
+  await c2.close();
+  assert.throws(() => new ThreeStateCounter({ idempotency: { retention: 0 } }), /retention/);
+
+  const payments = await counter.setup("test-idem-81b", 0, 25, 10, "sync", { idempotency: true });
+  assert.strictEqual(payments({ idempotencyKey: "evt_1" }), 25);
+  assert.strictEqual(payments({ idempotencyKey: "evt_2" }), 50);
+  assert.strictEqual(payments({ idempotencyKey: "evt_1" }), 25);
+  assert.strictEqual(payments.value, 50);
+  assert.throws(() => new WindowedCounter({ idempotency: true }), /idempotency keys/);
+  await counter.closeAll();
+});
+
+console.log("\n🌐 HTTP SERVER TESTS");
+
+async function closeServer(server) {
+  await new Promise((resolve) => server.close(resolve));
+}
+
+// Test 82: Reading, incrementing, resetting and flushing over HTTP
+await test("Server: REST routes", async () => {
+  const visits = await counter.setup("test-http-82", 10, 2, 100, "async");
+  await counter.setup("test-http-82b", 0, 1, 10, "sync", { numberType: "bigint" });
+  const server = await createServer(counter);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const post = (path, body) =>
+    fetch(`${base}${path}`, { method: "POST", body: body && JSON.stringify(body) }).then((r) => r.json());
+
+  try {
+    assert.deepStrictEqual(await (await fetch(`${base}/counters`)).json(), {
+      counters: [{ name: "test-http-82", value: 10 }, { name: "test-http-82b", value: "0" }],
+    });
+    assert.deepStrictEqual(await post("/counters/test-http-82/increment"), { name: "test-http-82", value: 12 });
+    assert.deepStrictEqual(await post("/counters/test-http-82/increment", { delta: 5 }), { name: "test-http-82", value: 17 });
+    assert.strictEqual(visits.value, 17);
+    assert.deepStrictEqual(
+      await post("/counters/test-http-82b/increment", { delta: "9007199254740993" }),
+      { name: "test-http-82b", value: "9007199254740993" }
+    );
+
+    assert.deepStrictEqual(await post("/flush"), { ok: true });
+    const saved = await counter.instances["test-http-82"].storage.load();
+    assert.strictEqual(saved.snapshot, 17);
+
+    assert.deepStrictEqual(await post("/counters/test-http-82/reset", { value: 3 }), { name: "test-http-82", value: 3 });
+    assert.deepStrictEqual(await post("/counters/test-http-82/reset"), { name: "test-http-82", value: 0 });
+    assert.deepStrictEqual(await (await fetch(`${base}/counters/test-http-82`)).json(), { name: "test-http-82", value: 0 });
+  } finally {
+    await closeServer(server);
+    await counter.closeAll();
+  }
+});
+
+// Test 83: Errors are JSON with a matching status
+await test("Server: JSON errors", async () => {
+  await counter.setup("test-http-83", 0, 1, 10, "sync", { max: 5, idempotency: true });
+  const errors = [];
+  const server = await createServer(counter, { logger: { error: (...args) => errors.push(args) } });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const call = async (path, init) => {
+    const res = await fetch(`${base}${path}`, init);
+    assert.match(res.headers.get("content-type"), /^application\/json/);
+    return [res.status, (await res.json()).error?.code, res];
+  };
+  const increment = (body) =>
+    call("/counters/test-http-83/increment", { method: "POST", body: typeof body === "string" ? body : JSON.stringify(body) });
+
+  try {
+    assert.deepStrictEqual((await call("/counters/nope")).slice(0, 2), [404, "not_found"]);
+    assert.deepStrictEqual((await call("/other")).slice(0, 2), [404, "not_found"]);
+    for (const name of ["toString", "__proto__", "constructor"]) {
+      assert.deepStrictEqual((await call(`/counters/${name}`)).slice(0, 2), [404, "not_found"]);
+    }
+    const [status, code, res] = await call("/counters/test-http-83/increment");
+    assert.deepStrictEqual([status, code, res.headers.get("allow")], [405, "method_not_allowed", "POST"]);
+    assert.deepStrictEqual((await increment("{oops")).slice(0, 2), [400, "bad_request"]);
+    assert.deepStrictEqual((await increment({ delta: 1.5 })).slice(0, 2), [400, "bad_request"]);
+    assert.deepStrictEqual((await increment({ delta: 1, reason: "x" })).slice(0, 2), [400, "bad_request"]);
+    assert.deepStrictEqual((await increment({ delta: 10 })).slice(0, 2), [409, "out_of_bounds"]);
+
+    // Retried webhooks count once
+    assert.strictEqual((await increment({ delta: 2, idempotencyKey: "evt" }))[0], 200);
+    assert.strictEqual((await increment({ delta: 2, idempotencyKey: "evt" }))[0], 200);
+    assert.strictEqual(counter["test-http-83"].value, 2);
+
+    // A bug on our side is not the client's mistake
+    counter.instances["test-http-83"].incrementDurable = async () => {
+      throw new TypeError("Cannot read properties of undefined");
+    };
+    assert.deepStrictEqual((await increment({ delta: 1 })).slice(0, 2), [500, "internal_error"]);
+    assert.strictEqual(errors.length, 1);
+  } finally {
+    await closeServer(server);
+    await counter.closeAll();
+  }
+});
+
+// Test 84: Bearer tokens and Unix sockets
+await test("Server: Auth and Unix socket", async () => {
+  await counter.setup("test-http-84", 7, 1, 10, "sync");
+  const socketPath = path.join(os.tmpdir(), `test-http-84-${process.pid}.sock`);
+  const server = await createServer(counter, { socket: socketPath, token: "s3cret" });
+  const get = (headers = {}) =>
+    new Promise((resolve, reject) => {
+      http
+        .get({ socketPath, path: "/counters/test-http-84", headers }, (res) => {
+          let body = "";
+          res.on("data", (chunk) => (body += chunk));
+          res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(body) }));
+        })
+        .on("error", reject);
+    });
+
+  try {
+    const denied = await get();
+    assert.strictEqual(denied.status, 401);
+    assert.strictEqual(denied.headers["www-authenticate"], "Bearer");
+    assert.strictEqual(denied.body.error.code, "unauthorized");
+    assert.strictEqual((await get({ Authorization: "Bearer wrong!" })).status, 401);
+
+    const ok = await get({ Authorization: "Bearer s3cret" });
+    assert.deepStrictEqual([ok.status, ok.body], [200, { name: "test-http-84", value: 7 }]);
+  } finally {
+    await closeServer(server);
+    await counter.closeAll();
+  }
+  await assert.rejects(() => createServer(counter, { token: "" }), /token/);
+});
+
+console.log("\n🧩 CLUSTER TESTS");
+
+// An in-process stand-in for node:cluster; messages go through JSON like IPC
+function fakeCluster() {
+  const primary = new EventEmitter();
+  const connect = (id) => {
+    const channel = new EventEmitter();
+    const worker = {
+      id,
+      isConnected: () => true,
+      send: (message) => setImmediate(() => channel.emit("message", JSON.parse(JSON.stringify(message)))),
+    };
+    channel.sent = [];
+    channel.send = (message, callback) => {
+      channel.sent.push(message);
+      setImmediate(() => {
+        primary.emit("message", worker, JSON.parse(JSON.stringify(message)));
+        callback?.(null);
+      });
+    };
+    return channel;
+  };
+  return { primary, connect };
+}
+
+// Test 85: Increments are batched per tick and the cache follows the primary
+await test("Cluster: Batched increments", async () => {
+  const { primary, connect } = fakeCluster();
+  const stop = serveWorkers(counter, { cluster: primary });
+  const channelA = connect(1);
+  const a = connectToPrimary({ channel: channelA });
+  const b = connectToPrimary({ channel: connect(2) });
+
+  try {
+    const hitsA = await a.setup("test-cluster-85", 100, 2, 10, "sync");
+    const hitsB = await b.setup("test-cluster-85"); // Already set up: the primary's jump
+    assert.strictEqual(hitsA.value, 100);
+
+    const before = channelA.sent.length;
+    assert.strictEqual(hitsA(), 102); // Cached, before the primary has it
+    hitsA();
+    hitsA();
+    assert.strictEqual(hitsA.value, 106);
+    assert.strictEqual(await hitsB.incrementDurable(), 102); // B's call can overtake A's batch
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.strictEqual(channelA.sent.length, before + 1); // One batch for three increments
+    assert.strictEqual(counter["test-cluster-85"].value, 108);
+    assert.strictEqual(hitsA.value, 108); // Refreshed by the acknowledgement
+
+    // A call waits for the batched increments before it
+    hitsA();
+    assert.strictEqual(await hitsA.incrementDurable(), 112);
+    assert.strictEqual(hitsB.value, 102); // Only refreshed by its own requests
+    await hitsB.flush();
+    assert.strictEqual(hitsB.value, 112);
+
+    const big = await a.setup("test-cluster-85b", 0, 1, 10, "sync", { numberType: "bigint" });
+    assert.strictEqual(await big.tryIncrement(2n ** 64n), true);
+    assert.strictEqual(big.value, 2n ** 64n);
+    assert.strictEqual(big(), 2n ** 64n + 1n);
+    await a.close();
+    assert.strictEqual(counter["test-cluster-85b"].value, 2n ** 64n + 1n);
+    assert.strictEqual((await b.setup("test-cluster-85b")).value, 2n ** 64n + 1n);
+  } finally {
+    stop();
+    await b.close();
+    await counter.closeAll();
+  }
+});
+
+// Test 86: Calls return the primary's results and errors
+await test("Cluster: Calls and errors", async () => {
+  const { primary, connect } = fakeCluster();
+  const stop = serveWorkers(counter, { cluster: primary });
+  const errors = [];
+  const quiet = { error: (...args) => errors.push(args.join(" ")) };
+  counter.useLogger(quiet);
+  const client = connectToPrimary({ channel: connect(1), logger: quiet });
+
+  try {
+    const seats = await client.setup("test-cluster-86", 0, 1, 10, "sync", { max: 3, idempotency: true });
+    assert.strictEqual(await seats.tryIncrement(2), true);
+    assert.strictEqual(await seats.tryIncrement(2), false);
+    assert.strictEqual(await seats.incrementIfBelow(2), false);
+    assert.strictEqual(await seats.compareAndSet(2, 3), true);
+
+    const err = await seats.incrementDurable().catch((e) => e);
+    assert.strictEqual(err.code, "ECOUNTERBOUND");
+    assert.strictEqual(err.name, "CounterBoundError");
+
+    // An increment the primary rejects is logged, and the cache corrected
+    assert.strictEqual(seats(), 4);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.strictEqual(seats.value, 3);
+    assert.ok(errors.some((e) => /test-cluster-86/.test(e)));
+
+    await seats.reset();
+    assert.strictEqual(seats.value, 0);
+    assert.strictEqual(await seats.incrementDurable({ idempotencyKey: "k" }), 1);
+    assert.strictEqual(await seats.incrementDurable({ idempotencyKey: "k" }), 1);
+    assert.deepStrictEqual(await seats.health().then((h) => h.status), "ok");
+
+    await assert.rejects(() => client.setup("test-cluster-86b", 0, 1, 10, "sync", { numberType: "nope" }), /numberType/);
+    assert.throws(() => connectToPrimary({ channel: new EventEmitter() }), /IPC channel/);
+  } finally {
+    stop();
+    await client.close();
+    counter.useLogger(console);
+    await counter.closeAll();
+  }
+});
+
+// Test 87: Real workers forked with node:cluster
+await test("Cluster: node:cluster workers", async () => {
+  const script = "test-cluster-87-worker.mjs";
+  const index = new URL("../src/index.js", import.meta.url).href;
+  await fsPromises.writeFile(
+    script,
+    `import { connectToPrimary } from ${JSON.stringify(index)};
+const client = connectToPrimary();
+const hits = await client.setup("test-cluster-87", 0, 1, 10, "async");
+for (let i = 0; i < 50; i++) hits();
+const durable = await hits.incrementDurable();
+await client.close();
+process.send({ durable }, () => process.exit(0));
+`
+  );
+
+  const stop = serveWorkers(counter);
+  cluster.setupPrimary({ exec: script });
+  try {
+    const results = await Promise.all(
+      [1, 2].map(
+        () =>
+          new Promise((resolve, reject) => {
+            const worker = cluster.fork();
+            let result = null;
+            worker.on("message", (message) => {
+              if (message.durable !== undefined) result = message.durable;
+            });
+            worker.on("exit", (code) => (code === 0 ? resolve(result) : reject(new Error(`Worker exited with ${code}`))));
+          })
+      )
+    );
+    assert.ok(results.every((value) => value >= 51 && value <= 102));
+    assert.strictEqual(counter["test-cluster-87"].value, 102);
+  } finally {
+    stop();
+    await counter.closeAll();
+    await fsPromises.rm(script, { force: true });
+  }
+});
+
+console.log("\n🛑 SHUTDOWN TESTS");
+
+// Test 88: A signal flushes and closes everything once, then exits
+await test("Shutdown: Signals close once", async () => {
+  const events = ["SIGINT", "SIGTERM", "beforeExit", "uncaughtException"];
+  const before = events.map((e) => process.listenerCount(e));
+  const hits = await counter.setup("test-shut-88", 0, 1, 1000, "async");
+  hits();
+  hits();
+
+  const codes = [];
+  const remove = counter.installShutdownHooks({ exit: (code) => codes.push(code) });
+  assert.deepStrictEqual(events.map((e) => process.listenerCount(e)), before.map((n) => n + 1));
+  let closes = 0;
+  counter.instances["test-shut-88"].on("close", () => closes++);
+
+  process.emit("SIGTERM", "SIGTERM");
+  process.emit("SIGINT", "SIGINT");
+  await counter.shuttingDown;
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepStrictEqual(codes, [0]);
+  assert.strictEqual(closes, 1);
+  assert.deepStrictEqual(counter.list(), []);
+
+  remove();
+  assert.deepStrictEqual(events.map((e) => process.listenerCount(e)), before);
+
+  const reopened = await counter.setup("test-shut-88", 0, 1, 1000, "async");
+  assert.strictEqual(reopened.value, 2);
+  await counter.closeAll();
+});
+
+// Test 89: beforeExit and uncaught exceptions; removing and replacing hooks
+await test("Shutdown: beforeExit, exceptions and removal", async () => {
+  const errors = [];
+  counter.useLogger({ error: (...args) => errors.push(args) });
+  const codes = [];
+
+  try {
+    await counter.setup("test-shut-89", 0, 1, 1000, "async");
+    counter.installShutdownHooks({ signals: ["SIGUSR2"], exit: (code) => codes.push(code) });
+    assert.strictEqual(process.listenerCount("SIGTERM"), 0);
+    process.emit("beforeExit", 0);
+    await counter.shuttingDown;
+    assert.deepStrictEqual(counter.list(), []);
+    assert.deepStrictEqual(codes, []); // The process is exiting anyway
+
+    // Installing again starts over
+    const first = counter.installShutdownHooks({ signals: [], exit: (code) => codes.push(code) });
+    const second = counter.installShutdownHooks({ signals: [], exit: (code) => codes.push(code) });
+    assert.strictEqual(process.listenerCount("uncaughtException"), 1);
+    first(); // Already replaced: does nothing
+    assert.strictEqual(process.listenerCount("uncaughtException"), 1);
+
+    await counter.setup("test-shut-89", 0, 1, 1000, "async");
+    const boom = new Error("boom");
+    process.emit("uncaughtException", boom);
+    await counter.shuttingDown;
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepStrictEqual(codes, [1]);
+    assert.ok(errors.some((args) => args.includes(boom)));
+    assert.deepStrictEqual(counter.list(), []);
+
+    second();
+    assert.strictEqual(process.listenerCount("uncaughtException"), 0);
+    assert.strictEqual(process.listenerCount("SIGUSR2"), 0);
+  } finally {
+    counter.removeShutdownHooks();
+    counter.useLogger(console);
+    await counter.closeAll();
+  }
+});
+
+// Test 90: A close that hangs is given up on at the deadline
+await test("Shutdown: Deadline", async () => {
+  const errors = [];
+  counter.useLogger({ error: (...args) => errors.push(args.join(" ")) });
+  const codes = [];
+  // Takes a second, as if stuck on a slow disk
+  counter.instances["test-shut-90"] = { ready: true, close: () => new Promise((resolve) => setTimeout(resolve, 1000)) };
+
+  try {
+    counter.installShutdownHooks({ timeoutMs: 50, exit: (code) => codes.push(code) });
+    const started = Date.now();
+    process.emit("SIGTERM", "SIGTERM");
+    assert.strictEqual(await counter.shuttingDown, false);
+    assert.ok(Date.now() - started >= 45);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepStrictEqual(codes, [1]);
+    assert.ok(errors.some((e) => /longer than 50ms/.test(e)));
+  } finally {
+    counter.removeShutdownHooks();
+    counter.useLogger(console);
+    delete counter.instances["test-shut-90"];
+    await counter.closeAll();
+  }
+});
+
+console.log("\n🗂️ MANAGER INSTANCE TESTS");
+
+// Test 91: Files go to dataDir, with the manager's defaults
+await test("Manager: dataDir and defaults", async () => {
+  const dir = "test-mgr-91/data";
+  fs.rmSync("test-mgr-91", { recursive: true, force: true });
+  const manager = new CounterManager({ dataDir: dir, mode: "sync", flushEvery: 3 });
+
+  try {
+    const hits = await manager.setup("hits");
+    assert.deepStrictEqual(
+      [manager.configs.hits.mode, manager.configs.hits.flushEvery, manager.instances.hits.mode],
+      ["sync", 3, "sync"]
+    );
+    hits();
+    assert.ok(fs.existsSync(`${dir}/hits.db`) && fs.existsSync(`${dir}/hits.log`));
+    assert.strictEqual(fs.existsSync("hits.db"), false);
+
+    await manager.setup("cfg", 0, 1, 10, "async", { storage: "json" });
+    const win = await manager.setupWindow("win");
+    assert.strictEqual(win.value, 0);
+    const fam = await manager.family("fam");
+    await fam.incr("k");
+    await manager.closeAll();
+    assert.ok(["cfg.json", "win.db", "fam.db"].every((f) => fs.existsSync(`${dir}/${f}`)));
+
+    manager.useSharedStore();
+    await manager.setup("shared");
+    assert.ok(fs.existsSync(`${dir}/counters.db`));
+    await manager.closeAll();
+
+    const again = new CounterManager({ dataDir: dir });
+    assert.strictEqual((await again.setup("hits")).value, 1);
+    await again.closeAll();
+  } finally {
+    await manager.closeAll();
+    fs.rmSync("test-mgr-91", { recursive: true, force: true });
+  }
+});
+
+// Test 92: Names can't leave dataDir or clash with the manager
+await test("Manager: Safe names", async () => {
+  const manager = new CounterManager({ dataDir: "test-mgr-92" });
+  try {
+    for (const name of ["../etc/x", "a/b", "a\\b", "..", ".hidden", "-x", "", "a b", "x".repeat(201), 42]) {
+      await assert.rejects(() => manager.setup(name), /Invalid counter name/, String(name));
+    }
+    await assert.rejects(() => manager.setupWindow("../w"), /Invalid counter name/);
+    await assert.rejects(() => manager.family("/tmp/f"), /Invalid counter name/);
+    await assert.rejects(() => manager.setup("setup"), /already in use/);
+    await assert.rejects(() => manager.setup("constructor"), /already in use/);
+    assert.strictEqual(fs.existsSync("test-mgr-92"), false); // Nothing was created
+
+    await manager.family("quota");
+    await assert.rejects(() => manager.setup("quota"), /already in use/);
+    const ok = await manager.setup("api_v2.requests-total");
+    assert.strictEqual(manager["api_v2.requests-total"], ok);
+    await manager.closeAll();
+    assert.strictEqual(manager["api_v2.requests-total"], undefined);
+    assert.throws(() => new CounterManager({ dataDir: "" }), /dataDir/);
+  } finally {
+    await manager.closeAll();
+    fs.rmSync("test-mgr-92", { recursive: true, force: true });
+  }
+});
+
+// Test 93: Several managers in one process
+await test("Manager: Independent instances", async () => {
+  const a = new CounterManager({ dataDir: "test-mgr-93/a" });
+  const b = new CounterManager({ dataDir: "test-mgr-93/b", mode: "sync" });
+  try {
+    const hitsA = await a.setup("hits", 0, 1);
+    const hitsB = await b.setup("hits", 100, 5);
+    hitsA();
+    hitsB();
+    assert.deepStrictEqual([hitsA.value, hitsB.value], [1, 105]);
+    assert.deepStrictEqual([a.list(), b.list(), counter.list()], [["hits"], ["hits"], []]);
+
+    await a.closeAll();
+    assert.strictEqual(hitsB.value, 105); // b is untouched
+    assert.match(b.export(), /"value": 105/);
+
+    // The same files are still owned by one manager at a time
+    const c = new CounterManager({ dataDir: "test-mgr-93/b" });
+    await assert.rejects(() => c.setup("hits"), CounterLockedError);
+  } finally {
+    await a.closeAll();
+    await b.closeAll();
+    fs.rmSync("test-mgr-93", { recursive: true, force: true });
+  }
+});
+
+// Test 94: Concurrent first calls share one setup instead of locking each other out
+await test("Manager: Concurrent setups of one name", async () => {
+  const [w1, w2] = await Promise.all([
+    counter.setupWindow("test-mgr-94w"),
+    counter.setupWindow("test-mgr-94w"),
+  ]);
+  assert.strictEqual(w1, w2);
+  const [f1, f2] = await Promise.all([counter.family("test-mgr-94f"), counter.family("test-mgr-94f")]);
+  assert.strictEqual(f1, f2);
+  const [s1, s2] = await Promise.all([
+    counter.setup("test-mgr-94", 5, 1, 10, "sync"),
+    counter.setup("test-mgr-94", 5, 1, 10, "sync"),
+  ]);
+  assert.strictEqual(s1, s2);
+  assert.strictEqual(s1.value, 5);
+  await assert.rejects(
+    () => Promise.all([counter.setup("test-mgr-94x"), counter.family("test-mgr-94x")]),
+    /already in use/
+  );
+  await counter.closeAll();
+});
+
 // Cleanup
 console.log("\nCleaning up test files...");
 await cleanup();